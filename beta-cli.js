@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+// Merrill Portfolio Beta — command-line runner.
+// Runs the same estimation core as the userscript on a holdings file, for nightly jobs
+// and for offline checks against saved provider responses (--record, then --fixtures).
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const core = require("./beta-core.js");
+
+const USAGE = `Usage: node beta-cli.js HOLDINGS [options]
+
+HOLDINGS is either a Merrill holdings download (CSV with a Symbol column) or the panel's
+text format, one "TICKER, WEIGHT[, ACCOUNT[, CLASS]]" per line.
+
+Options:
+  --source yahoo|stooq   primary price feed, the other one is the fallback (default yahoo)
+  --proxy SPY[,QQQ,...]  benchmarks; the first one sets the window (default ${core.DEFAULT_MARKET})
+  --lookback N           observations in the window (default ${core.DEFAULT_LOOKBACK_DAYS})
+  --start YYYY-MM-DD     window start (overrides the lookback)
+  --end YYYY-MM-DD       window end / as-of date (default: latest price)
+  --freq daily|weekly|monthly
+  --method ${Object.keys(core.ESTIMATORS).join("|")}
+  --multifactor          regress on all benchmarks at once
+  --format table|csv|json (default table)
+  --out FILE             write the output to FILE instead of stdout
+  --fixtures DIR         read provider responses from DIR instead of the network
+  --record DIR           save every provider response to DIR, for later --fixtures runs
+`;
+
+const MAX_CONCURRENT_REQUESTS = 4;
+const USER_AGENT = "Mozilla/5.0 (merrill-portfolio-beta)";
+const FORMATS = ["table", "csv", "json"];
+const FLAGS = new Set(["multifactor", "help"]);
+const OPTIONS = new Set(["source", "proxy", "lookback", "start", "end", "freq", "method", "format", "out", "fixtures", "record"]);
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Unknown options and malformed values are errors: a nightly job with a typo should fail,
+// not quietly run with the defaults.
+function parseArgs(argv) {
+    const opts = { source: "yahoo", proxy: core.DEFAULT_MARKET, lookback: String(core.DEFAULT_LOOKBACK_DAYS), freq: "daily", method: "ols", format: "table" };
+    const files = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) { files.push(arg); continue; }
+        const name = arg.slice(2);
+        if (FLAGS.has(name)) { opts[name] = true; continue; }
+        if (!OPTIONS.has(name)) throw new Error(`Unknown option ${arg}`);
+        if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+        opts[name] = argv[++i];
+    }
+    if (files.length > 1) throw new Error(`One holdings file expected, got ${files.length}`);
+    if (!FORMATS.includes(opts.format)) throw new Error(`Unknown format ${opts.format}`);
+    if (!/^[1-9]\d*$/.test(opts.lookback)) throw new Error(`--lookback must be a positive whole number, got ${opts.lookback}`);
+    for (const name of ["start", "end"]) {
+        if (opts[name] !== undefined && !(ISO_DATE.test(opts[name]) && !isNaN(Date.parse(opts[name])))) throw new Error(`--${name} must be a date (YYYY-MM-DD), got ${opts[name]}`);
+    }
+    opts.lookback = Number(opts.lookback);
+    opts.file = files[0];
+    return opts;
+}
+
+// Provider responses are stored one file per feed and symbol, e.g. yahoo_AAPL.json or
+// stooq_aapl.us.csv; the date range in the URL is ignored.
+function fixtureName(url) {
+    const u = new URL(url);
+    if (/yahoo/.test(u.hostname)) return `yahoo_${decodeURIComponent(u.pathname.split("/").pop())}.json`;
+    return `stooq_${u.searchParams.get("s")}.csv`;
+}
+
+// fetch() with at most MAX_CONCURRENT_REQUESTS requests in flight.
+function createFetchText({ fixtures, record }) {
+    if (fixtures) {
+        return async (url) => {
+            const file = path.join(fixtures, fixtureName(url));
+            if (!fs.existsSync(file)) throw new Error(`No fixture ${path.basename(file)}`);
+            return fs.readFileSync(file, "utf8");
+        };
+    }
+    let active = 0;
+    const waiting = [];
+    return async (url) => {
+        if (active >= MAX_CONCURRENT_REQUESTS) await new Promise(resolve => waiting.push(resolve));
+        active++;
+        try {
+            const res = await fetch(url, { headers: { "User-Agent": USER_AGENT }, signal: AbortSignal.timeout(20000) });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const text = await res.text();
+            if (record) fs.writeFileSync(path.join(record, fixtureName(url)), text);
+            return text;
+        } finally {
+            active--;
+            if (waiting.length) waiting.shift()();
+        }
+    };
+}
+
+function readHoldings(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const isDownload = core.parseCsvRows(text).some(cells => cells.some(c => /^(symbol|ticker)\b/i.test(c)));
+    if (!isDownload) return { holdings: core.parseHoldingsText(text), totalMV: 0 };
+    const result = core.parseHoldingsCsv(text);
+    return { holdings: core.parseHoldingsText(core.holdingsText(result.holdings)), totalMV: result.totalMV };
+}
+
+// Aligned text columns; `numeric(i)` picks the right-aligned ones.
+function textTable(head, body, numeric) {
+    const widths = head.map((h, i) => Math.max(h.length, ...body.map(row => row[i].length)));
+    const line = (cells) => cells.map((c, i) => (numeric(i) ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join("  ").trimEnd();
+    return [line(head), line(widths.map(w => "-".repeat(w))), ...body.map(line)];
+}
+
+function formatTable(results, run, benchmarks, multiFactor) {
+    const f = (x, d) => (isNaN(x) ? "—" : x.toFixed(d));
+    const head = ["Account", "Ticker", "Weight", "Beta", "±95%", "R²", "n", "w×β", "Source"];
+    const body = results.map(r => [
+        r.account, r.ticker, `${(r.weight * 100).toFixed(1)}%`, f(r.beta, 2),
+        isNaN(r.ciHi) ? "—" : `±${((r.ciHi - r.ciLo) / 2).toFixed(2)}`, f(r.r2, 2), r.n ? String(r.n) : "—",
+        f(r.weight * r.beta, 3), r.error ? `error: ${r.error}` : r.provider || r.method,
+    ]);
+    const lines = [
+        ...textTable(head, body, i => i >= 2 && i <= 7),
+        "",
+        `Portfolio beta vs ${benchmarks[0]}: ${f(core.portfolioBeta(results), 3)}`,
+        `Window: ${run.window.start} – ${run.window.end}`,
+    ];
+    if (multiFactor) {
+        const loadings = results.map(r => [r.account, r.ticker, ...benchmarks.map((b, k) => f(r.factors ? r.factors.loadings[k] : NaN, 2)), f(r.factors ? r.factors.r2 : NaN, 2)]);
+        lines.push("", "Multi-factor loadings", ...textTable(["Account", "Ticker", ...benchmarks, "R²"], loadings, i => i >= 2));
+    }
+    return lines.join("\n");
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help || !opts.file) {
+        process.stdout.write(USAGE);
+        return opts.help ? 0 : 2;
+    }
+    const providers = core.createProviders(createFetchText(opts));
+    if (!providers[opts.source]) throw new Error(`Unknown source ${opts.source}`);
+    if (!core.FREQUENCIES[opts.freq]) throw new Error(`Unknown frequency ${opts.freq}`);
+    if (!core.ESTIMATORS[opts.method]) throw new Error(`Unknown method ${opts.method}`);
+    if (opts.record) fs.mkdirSync(opts.record, { recursive: true });
+
+    const { holdings, totalMV } = readHoldings(opts.file);
+    if (!holdings.length) throw new Error("No holdings.");
+    const benchmarks = core.parseBenchmarks(opts.proxy);
+    if (!benchmarks.length) throw new Error("No proxy symbol.");
+    const ctx = {
+        startedAt: Date.now(),
+        source: opts.source,
+        order: [opts.source, ...Object.keys(providers).filter(id => id !== opts.source)],
+        benchmarks,
+        marketSym: benchmarks[0],
+        multiFactor: Boolean(opts.multifactor) && benchmarks.length > 1,
+        lookback: opts.lookback,
+        range: { start: opts.start || "", end: opts.end || "" },
+        freq: opts.freq,
+        method: opts.method,
+        estimator: `${opts.freq}-${opts.method}`,
+    };
+    if (ctx.range.start && ctx.range.end && ctx.range.start >= ctx.range.end) throw new Error("Start date must be before the end date.");
+
+    const getSeries = core.createSeriesLoader(providers);
+    const symbols = [...new Set(holdings.map(h => core.priceSymbol(h)).filter(Boolean))];
+    const run = await core.computeBetas(symbols, ctx, { getSeries });
+    for (const [b, e] of Object.entries(run.marketErrors)) console.error(`Warning: no prices for benchmark ${b} (${e}), its betas are left empty.`);
+    const runCtx = { ...ctx, window: run.window };
+    // No manual overrides here, so the estimate is the beta (the userscript's buildResult()).
+    const results = (await Promise.all(holdings.map(h => core.estimateHolding(h, run.betaBySym, runCtx, getSeries))))
+        .map(r => ({ ...r, estimatedBeta: r.beta }));
+
+    let output;
+    if (opts.format === "csv") {
+        output = core.resultsCsv(results, { benchmarks, window: run.window, totalMV, multiFactor: ctx.multiFactor });
+    } else if (opts.format === "json") {
+        const { source, multiFactor, lookback, range, freq, method } = ctx;
+        output = JSON.stringify({
+            format: "merrill-portfolio-beta",
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            runAt: new Date(ctx.startedAt).toISOString(),
+            settings: { source, benchmarks, multiFactor, lookback, range, freq, method },
+            window: run.window,
+            totalMV,
+            holdings,
+            results,
+            portfolioBeta: core.portfolioBeta(results),
+        }, null, 2);
+    } else {
+        output = formatTable(results, run, benchmarks, ctx.multiFactor);
+    }
+    if (opts.out) fs.writeFileSync(opts.out, `${output}\n`);
+    else process.stdout.write(`${output}\n`);
+    // Nightly jobs should notice holdings that came back without a beta, including those
+    // with too few observations (no error, just NaN).
+    return results.some(r => isNaN(r.beta)) ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; }, (e) => {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 2;
+});
@@ -0,0 +1,1102 @@
+// Merrill Portfolio Beta — estimation core.
+// Everything that doesn't touch the page: feed URLs and parsers, returns, regressions,
+// data-quality checks, risk figures, position parsing and the per-run estimation engine.
+// Loaded by the userscript through @require (as the BetaCore global) and by beta-cli.js
+// through require(). Network access is injected, see createProviders().
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory();
+    else root.BetaCore = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, () => {
+    "use strict";
+
+    // --- Configuration ---
+    const DEFAULT_LOOKBACK_DAYS = 252;
+    const DEFAULT_MARKET = "SPY";
+    // Return frequencies: periods per year (to annualize alpha), minimum observations for a
+    // usable regression, and the EWMA half-life in periods.
+    const FREQUENCIES = {
+        daily: { perYear: 252, minObs: 20, halfLife: 63 },
+        weekly: { perYear: 52, minObs: 20, halfLife: 13 },
+        monthly: { perYear: 12, minObs: 12, halfLife: 6 },
+    };
+    const ESTIMATORS = {
+        ols: "OLS",
+        blume: "Blume-adjusted",
+        vasicek: "Vasicek shrinkage",
+        ewma: "EWMA-weighted",
+        downside: "Downside",
+    };
+    const BLUME_WEIGHT = 0.67;                       // β_adj = 0.67·β + 0.33·1.0
+    const VASICEK_PRIOR = { mean: 1.0, sd: 0.5 };    // cross-sectional prior for shrinkage
+    // Data-quality checks run on each daily price window before returns are taken.
+    const SPLIT_FACTORS = {                          // post/pre price ratio ≈ 1/factor
+        "2-for-1": 2, "3-for-2": 1.5, "3-for-1": 3, "4-for-1": 4, "5-for-1": 5, "10-for-1": 10, "20-for-1": 20,
+        "1-for-2": 1 / 2, "1-for-3": 1 / 3, "1-for-5": 1 / 5, "1-for-10": 1 / 10, "1-for-20": 1 / 20,
+    };
+    const SPLIT_TOLERANCE = 0.02;                    // |log(ratio × factor)| that still counts as a split
+    const SPLIT_MAX_MARKET_MOVE = 0.05;              // splits aren't inferred on days the market moved more
+    const SPLIT_LEVEL_TOLERANCE = 0.1;               // |log| gap to a split-adjusted feed's price that still confirms a split
+    const OUTLIER_Z = 8;                             // robust (MAD) z-score beyond which returns are winsorized
+    const FLAT_RUN_DAYS = 5;                         // unchanged closes in a row that count as stale
+    const STALE_DAYS = 5;                            // calendar days the last price may trail the market's
+    const GAP_DAYS = 10;                             // calendar days between prices that count as a gap
+    const MIN_OVERLAP = 0.8;                         // share of market dates the asset must also have
+    const CALENDAR_MISMATCH = 0.05;                  // share of asset dates allowed off the market calendar
+    // Position classes. Classes with a defaultBeta have no usable price history and use that
+    // fixed beta; options take the underlying's beta scaled by their Black-Scholes elasticity.
+    const ASSET_CLASSES = {
+        equity: { label: "Equity/Fund" },
+        option: { label: "Option" },
+        cash: { label: "Cash/Sweep", defaultBeta: 0 },
+        moneyMarket: { label: "Money market", defaultBeta: 0 },
+        cd: { label: "CD", defaultBeta: 0 },
+        bond: { label: "Bond", defaultBeta: 0.1 },
+    };
+    const RISK_FREE_RATE = 0.04;                     // for option deltas
+    const OPTION_VOL_DAYS = 63;                      // historical-vol window standing in for implied vol
+    const TRADING_DAYS = 252;
+    const VAR_LEVELS = [0.95, 0.99];
+    const Z_SCORES = { 0.95: 1.644854, 0.99: 2.326348 };
+    const UNASSIGNED_ACCOUNT = "Unassigned";
+    // Words/numbers that identify a Merrill account heading (e.g. "Roth IRA 123-45678").
+    const ACCOUNT_LABEL_RE = /\b(IRA|Roth|CMA|401\(?k\)?|403\(?b\)?|529|SEP|SIMPLE|brokerage|trust|joint|individual|custodial|UTMA|UGMA|account)\b|\b\d{3}-?\d{5}\b/i;
+
+    // --- API URL Generators ---
+    // `since` (YYYY-MM-DD) limits the download to the days after a stored series ends.
+    const STOOQ_URL = (symbol, since) =>
+`https://stooq.com/q/d/l/?s=${encodeURIComponent(symbol)}&i=d${since ? `&d1=${since.replace(/-/g, "")}&d2=${todayISO().replace(/-/g, "")}` : ""}`;
+
+    const YAHOO_URL = (symbol, since) =>
+`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${since ? `period1=${Math.floor(Date.parse(since) / 1000)}&period2=${Math.floor(Date.now() / 1000)}` : "range=2y"}&interval=1d&events=history`;
+
+    // --- Data Fetching ---
+    // Response parsers; both return ascending { date, close } rows. Dates end up in the
+    // panel's HTML, so Stooq's raw CSV text is only taken as YYYY-MM-DD.
+    function parseStooqCsv(txt) {
+        const lines = txt.trim().split(/\r?\n/);
+        if (lines.length < 3) throw new Error("No data");
+        const header = lines[0].split(",");
+        const dateIdx = header.findIndex(h => h.toLowerCase() === "date");
+        const closeIdx = header.findIndex(h => h.toLowerCase() === "close");
+        const rows = [];
+        for (let i = 1; i < lines.length; i++) {
+            const parts = lines[i].split(",");
+            if (/^\d{4}-\d{2}-\d{2}$/.test(parts[dateIdx]) && !isNaN(parts[closeIdx])) rows.push({ date: parts[dateIdx], close: Number(parts[closeIdx]) });
+        }
+        return rows.sort((a, b) => (a.date < b.date ? -1 : 1));
+    }
+
+    function parseYahooChart(jsonTxt) {
+        const data = JSON.parse(jsonTxt);
+        const result = data.chart?.result?.[0];
+        if (!result?.timestamp || !result?.indicators?.quote?.[0]) throw new Error("Invalid Yahoo JSON");
+        const timestamps = result.timestamp;
+        const adjClose = result.indicators.adjclose?.[0]?.adjclose || result.indicators.quote[0].close;
+        const rows = [];
+        for (let i = 0; i < timestamps.length; i++) {
+            if (timestamps[i] && Number.isFinite(adjClose[i])) {
+                rows.push({ date: new Date(timestamps[i] * 1000).toISOString().split("T")[0], close: adjClose[i] });
+            }
+        }
+        return rows;
+    }
+
+    // The public feeds, fetching through `fetchText(url)`, which resolves to the response
+    // body and rejects on HTTP errors. The userscript passes its request queue; Node passes
+    // fetch() or saved fixtures. `adjusted` feeds already correct their history for splits.
+    function createProviders(fetchText) {
+        return {
+            yahoo: {
+                label: "Yahoo",
+                adjusted: true,
+                symbol: (t) => normalizeTicker(t, "yahoo"),
+                fetch: async (symbol, since) => parseYahooChart(await fetchText(YAHOO_URL(symbol, since))),
+            },
+            stooq: {
+                label: "Stooq",
+                symbol: (t) => normalizeTicker(t, "stooq"),
+                fetch: async (symbol, since) => parseStooqCsv(await fetchText(STOOQ_URL(symbol, since))),
+            },
+        };
+    }
+
+    // In-memory getSeries() for headless runs: providers in `order`, first usable series
+    // wins. One download per provider and symbol, unless a request reaches further back than
+    // the one already made; a download without `from` only serves requests without one.
+    function createSeriesLoader(providers) {
+        const memo = new Map();    // key -> { from, loading }
+        const load = (id, symbol, from) => {
+            const key = `${id}_${symbol}`;
+            const m = memo.get(key);
+            if (!m || (from && (!m.from || from < m.from))) memo.set(key, { from: from || "", loading: providers[id].fetch(symbol, from) });
+            return memo.get(key).loading;
+        };
+        return async function getSeries(ticker, order, from) {
+            const errors = [];
+            for (const id of order) {
+                const symbol = providers[id].symbol(ticker);
+                try {
+                    const rows = await load(id, symbol, from);
+                    if (rows.length < 2) throw new Error("No data");
+                    return { rows, provider: id, adjusted: Boolean(providers[id].adjusted) };
+                } catch (e) {
+                    if (e.cancelled) throw e;
+                    errors.push(`${providers[id].label}: ${e.message}`);
+                }
+            }
+            throw new Error(errors.join("; ") || "No provider");
+        };
+    }
+
+    // Parses a price CSV dropped in by the user. Accepts Date plus Adj Close/Close/Price/NAV
+    // columns, ISO or US (MM/DD/YYYY) dates, and an optional Symbol/Ticker column for files
+    // holding several series. Without one, every row belongs to fallbackSymbol.
+    function parsePriceCsv(text, fallbackSymbol) {
+        const lines = text.trim().split(/\r?\n/);
+        const header = lines[0].split(",").map(h => h.trim().replace(/^"|"$/g, "").toLowerCase());
+        const dateIdx = header.findIndex(h => /^(date|as of)/.test(h));
+        const symIdx = header.findIndex(h => /^(symbol|ticker|cusip)$/.test(h));
+        const closeIdx = ["adj close", "adj. close", "adjusted close", "close", "price", "nav"]
+            .map(name => header.indexOf(name)).find(i => i !== -1);
+        if (dateIdx === -1 || closeIdx === undefined) throw new Error("CSV needs Date and Close/Price columns");
+
+        const bySymbol = new Map();
+        for (let i = 1; i < lines.length; i++) {
+            const parts = lines[i].split(",").map(x => x.trim().replace(/^"|"$/g, ""));
+            const close = safeNum(parts[closeIdx]);
+            const date = toISODate(parts[dateIdx]);
+            const sym = canonicalTicker(symIdx === -1 ? fallbackSymbol : parts[symIdx]);
+            if (!date || !(close > 0) || !sym) continue;
+            if (!bySymbol.has(sym)) bySymbol.set(sym, []);
+            bySymbol.get(sym).push({ date, close });
+        }
+        for (const rows of bySymbol.values()) rows.sort((a, b) => (a.date < b.date ? -1 : 1));
+        return bySymbol;
+    }
+
+    function toISODate(raw) {
+        const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(raw || "");
+        if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+        const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(raw || "");
+        return us ? `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}` : "";
+    }
+
+    // --- Dates & Estimation Window ---
+    function todayISO() { return new Date().toISOString().split("T")[0]; }
+
+    function shiftDate(iso, days) {
+        const d = new Date(`${iso}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().split("T")[0];
+    }
+
+    // --- Estimation Window ---
+    // Every run regresses on one calendar window taken from the primary benchmark: an explicit
+    // start–end range, or `lookback` trading days ending at the end date (the as-of date,
+    // or the latest close). Asset and market series are both cut to exactly that window.
+    function resolveWindow(mktRows, range, lookback) {
+        const end = range.end || todayISO();
+        let endIdx = mktRows.length - 1;
+        while (endIdx >= 0 && mktRows[endIdx].date > end) endIdx--;
+        if (endIdx < 1) throw new Error(`No benchmark prices on or before ${end}.`);
+        const startIdx = range.start ? mktRows.findIndex(r => r.date >= range.start) : Math.max(0, endIdx - lookback);
+        if (startIdx === -1 || endIdx - startIdx < 2) throw new Error("The date range holds too few benchmark prices.");
+        return { start: mktRows[startIdx].date, end: mktRows[endIdx].date };
+    }
+
+    // Earliest date a run needs prices from. Lookback windows are converted generously
+    // from trading to calendar days.
+    function historyStart({ range, lookback }) {
+        if (range.start) return shiftDate(range.start, -7);
+        return shiftDate(range.end || todayISO(), -Math.ceil(lookback * 365 / TRADING_DAYS) - 14);
+    }
+
+    // Runs imported from before explicit windows existed fall back to the last `lookback` days.
+    function clipRows(rows, run) {
+        if (!run.window) return rows.slice(-(run.lookback + 1));
+        return rows.filter(r => r.date >= run.window.start && r.date <= run.window.end);
+    }
+
+    // Cache key part for the window: the lookback alone when it ends today, else the dates.
+    function windowKey({ range, lookback }) {
+        if (range.start) return `${range.start}_${range.end || todayISO()}`;
+        return range.end ? `${lookback}@${range.end}` : `${lookback}`;
+    }
+
+    // --- Math ---
+    function toReturns(rows) {
+        const rets = [];
+        for (let i = 1; i < rows.length; i++) {
+            const p0 = rows[i - 1].close, p1 = rows[i].close;
+            if (p0 > 0 && p1 > 0) rets.push({ date: rows[i].date, r: p1 / p0 - 1 });
+        }
+        return rets;
+    }
+
+    // Keeps the last close of each week (keyed by its Monday) or month, so asset and market
+    // resample onto the same period keys even when their last trading days differ.
+    function resamplePrices(rows, freq) {
+        if (freq === "daily") return rows;
+        const byPeriod = new Map();
+        for (const row of rows) {
+            let key = row.date.slice(0, 7);
+            if (freq === "weekly") {
+                const d = new Date(`${row.date}T00:00:00Z`);
+                d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+                key = d.toISOString().split("T")[0];
+            }
+            byPeriod.set(key, { date: key, close: row.close });
+        }
+        return Array.from(byPeriod.values());
+    }
+
+    function alignReturns(asset, mkt) {
+        const mktMap = new Map(mkt.map(x => [x.date, x.r]));
+        const xs = [], ys = [], dates = [];
+        for (const a of asset) {
+            const m = mktMap.get(a.date);
+            if (m !== undefined) { xs.push(a.r); ys.push(m); dates.push(a.date); }
+        }
+        return { asset: xs, mkt: ys, dates };
+    }
+
+    // Weighted least squares of asset on market (plain OLS when weights is omitted).
+    // Returns per-period alpha, R², the standard error of beta and the effective sample size.
+    function regress(asset, mkt, weights) {
+        const n = asset.length;
+        const w = weights || asset.map(() => 1);
+        const wSum = w.reduce((a, b) => a + b, 0);
+        const om = w.map(x => x / wSum);
+        const nEff = weights ? (wSum * wSum) / w.reduce((a, b) => a + b * b, 0) : n;
+
+        let meanA = 0, meanM = 0;
+        for (let i = 0; i < n; i++) { meanA += om[i] * asset[i]; meanM += om[i] * mkt[i]; }
+        let sxy = 0, sxx = 0, syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += om[i] * (asset[i] - meanA) * (mkt[i] - meanM);
+            sxx += om[i] * (mkt[i] - meanM) * (mkt[i] - meanM);
+            syy += om[i] * (asset[i] - meanA) * (asset[i] - meanA);
+        }
+        if (!(n > 2) || sxx === 0) return { beta: NaN, alpha: NaN, r2: NaN, se: NaN, nEff };
+
+        const beta = sxy / sxx;
+        const alpha = meanA - beta * meanM;
+        let sse = 0;
+        for (let i = 0; i < n; i++) {
+            const e = asset[i] - alpha - beta * mkt[i];
+            sse += om[i] * e * e;
+        }
+        const residVar = nEff > 2 ? sse * nEff / (nEff - 2) : NaN;
+        return {
+            beta,
+            alpha,
+            r2: syy > 0 ? 1 - sse / syy : NaN,
+            se: Math.sqrt(residVar / (nEff * sxx)),
+            nEff,
+        };
+    }
+
+    // Two-sided 95% Student-t critical value (Cornish-Fisher expansion around 1.96).
+    function tCritical95(df) {
+        if (!(df > 0)) return NaN;
+        const z = 1.959964;
+        return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df * df);
+    }
+
+    // Beta plus diagnostics for one aligned pair of return series. Blume and Vasicek adjust
+    // the OLS estimate; EWMA and downside change which observations the regression sees.
+    function estimateBeta(asset, mkt, method, freq) {
+        const cfg = FREQUENCIES[freq] || FREQUENCIES.daily;
+        let xs = mkt, ys = asset, weights = null;
+        if (method === "downside") {
+            const down = mkt.map((_, i) => i).filter(i => mkt[i] < 0);
+            xs = down.map(i => mkt[i]);
+            ys = down.map(i => asset[i]);
+        } else if (method === "ewma") {
+            const lambda = Math.pow(0.5, 1 / cfg.halfLife);
+            weights = xs.map((_, i) => Math.pow(lambda, xs.length - 1 - i));
+        }
+
+        const n = ys.length;
+        const fit = regress(ys, xs, weights);
+        const empty = { beta: NaN, alpha: NaN, r2: NaN, se: NaN, ciLo: NaN, ciHi: NaN, n };
+        if (n < cfg.minObs || isNaN(fit.beta)) return empty;
+
+        let { beta, se } = fit;
+        if (method === "blume") {
+            beta = BLUME_WEIGHT * beta + (1 - BLUME_WEIGHT) * 1.0;
+            se *= BLUME_WEIGHT;
+        } else if (method === "vasicek") {
+            const priorVar = VASICEK_PRIOR.sd * VASICEK_PRIOR.sd;
+            const sampleVar = se * se;
+            beta = (priorVar * beta + sampleVar * VASICEK_PRIOR.mean) / (priorVar + sampleVar);
+            se = Math.sqrt(1 / (1 / priorVar + 1 / sampleVar));
+        }
+        const t = tCritical95(fit.nEff - 2);
+        return {
+            beta,
+            alpha: fit.alpha * cfg.perYear,
+            r2: fit.r2,
+            se,
+            ciLo: beta - t * se,
+            ciHi: beta + t * se,
+            n,
+        };
+    }
+
+    // --- Data Quality ---
+    // Checks a daily price window against the market window it will be regressed on.
+    // One-day date shifts, splits and outlier returns are repaired; stale prices, gaps and
+    // poor overlap can't be, and are only reported. Returns { rows, issues } where each
+    // issue is { code, text, fixed }. `adjusted` marks a feed that already corrects for splits;
+    // `reference` is the same symbol from such a feed, which confirms splits (see checkSeries).
+    function validateSeries(rows, mktRows, { adjusted = false, reference = null } = {}) {
+        const issues = [];
+        let out = rows.filter(r => Number.isFinite(r.close) && r.close > 0);
+        if (out.length < rows.length) issues.push({ code: "missing", text: `${rows.length - out.length} empty or non-positive closes dropped`, fixed: true });
+        if (out.length < 3 || mktRows.length < 3) return { rows: out, issues };
+
+        // Calendar: feeds that stamp closes in another time zone land one day off every date.
+        const mktDates = new Set(mktRows.map(r => r.date));
+        const first = mktRows[0].date, last = mktRows[mktRows.length - 1].date;
+        const onCalendar = (list) => {
+            const span = list.filter(r => r.date >= first && r.date <= last);
+            return span.length ? span.filter(r => mktDates.has(r.date)).length / span.length : 1;
+        };
+        let match = onCalendar(out);
+        if (match < 1 - CALENDAR_MISMATCH) {
+            for (const days of [-1, 1]) {
+                const shifted = out.map(r => ({ ...r, date: shiftDate(r.date, days) }));
+                if (onCalendar(shifted) >= 1 - CALENDAR_MISMATCH && onCalendar(shifted) > match) {
+                    issues.push({ code: "calendar", text: `Dates were one day ${days < 0 ? "late" : "early"} against the market calendar, shifted`, fixed: true });
+                    out = shifted;
+                    match = onCalendar(shifted);
+                    break;
+                }
+            }
+            if (match < 1 - CALENDAR_MISMATCH) {
+                issues.push({ code: "calendar", text: `${((1 - match) * 100).toFixed(0)}% of dates are not market trading days (different exchange calendar?)`, fixed: false });
+            }
+        }
+
+        // Splits: a one-day ratio close to a split factor on a quiet market day. A real crash
+        // or doubling looks the same, so earlier prices are only rescaled to the post-split
+        // basis when a split-adjusted feed confirms it: no jump there that day, and its price
+        // before the jump sits at ours divided by the split factor. Adjusted feeds already
+        // carry their splits; there, and without confirmation, the move is only reported.
+        const mktRet = new Map(toReturns(mktRows).map(x => [x.date, x.r]));
+        const refClose = reference ? new Map(reference.map(r => [r.date, r.close])) : null;
+        const confirmed = (i, factor) => {
+            const before = refClose && refClose.get(out[i - 1].date);
+            const after = refClose && refClose.get(out[i].date);
+            if (!(before > 0 && after > 0)) return false;
+            return Math.abs(Math.log(after / before)) < Math.abs(Math.log(out[i].close / out[i - 1].close)) / 2
+                && Math.abs(Math.log(out[i - 1].close / factor / before)) < SPLIT_LEVEL_TOLERANCE;
+        };
+        for (let i = 1; i < out.length; i++) {
+            const ratio = out[i].close / out[i - 1].close;
+            if (Math.abs(mktRet.get(out[i].date) || 0) > SPLIT_MAX_MARKET_MOVE) continue;
+            const split = Object.entries(SPLIT_FACTORS).find(([, f]) => Math.abs(Math.log(ratio * f)) < SPLIT_TOLERANCE);
+            if (!split) continue;
+            const move = `${(Math.abs(ratio - 1) * 100).toFixed(0)}% move on ${out[i].date} looks like a ${split[0]} split`;
+            if (adjusted) {
+                issues.push({ code: "split", text: `${move}, but the feed is split-adjusted; left as is`, fixed: false });
+                continue;
+            }
+            if (!confirmed(i, split[1])) {
+                issues.push({ code: "split", text: `${move}, but no split-adjusted feed confirms it; left as is`, fixed: false });
+                continue;
+            }
+            out = out.map((r, k) => (k < i ? { ...r, close: r.close / split[1] } : r));
+            issues.push({ code: "split", text: `${split[0]} split on ${out[i].date} (confirmed by a split-adjusted feed), earlier prices adjusted`, fixed: true });
+        }
+
+        // Outliers: returns beyond OUTLIER_Z robust deviations are capped and the price path
+        // rebuilt from the capped returns, which leaves every other return unchanged.
+        const rets = out.slice(1).map((r, i) => r.close / out[i].close - 1);
+        const sorted = [...rets].sort((a, b) => a - b);
+        const med = quantile(sorted, 0.5);
+        const mad = quantile(rets.map(r => Math.abs(r - med)).sort((a, b) => a - b), 0.5);
+        const limit = OUTLIER_Z * 1.4826 * mad;
+        const hits = rets.map((r, i) => [r, i]).filter(([r]) => limit > 0 && Math.abs(r - med) > limit);
+        if (hits.length) {
+            let price = out[0].close;
+            out = out.map((r, i) => {
+                if (i === 0) return r;
+                price *= 1 + Math.min(med + limit, Math.max(med - limit, rets[i - 1]));
+                return { ...r, close: price };
+            });
+            const list = hits.slice(0, 3).map(([r, i]) => `${out[i + 1].date} ${(r * 100).toFixed(0)}%`).join(", ");
+            issues.push({ code: "outlier", text: `${hits.length} outlier return(s) winsorized to ±${(limit * 100).toFixed(1)}% (${list}${hits.length > 3 ? ", …" : ""})`, fixed: true });
+        }
+
+        // Stale stretches: the same close day after day.
+        let run = 1, longest = { len: 1, from: "" };
+        for (let i = 1; i < out.length; i++) {
+            run = out[i].close === out[i - 1].close ? run + 1 : 1;
+            if (run > longest.len) longest = { len: run, from: out[i - run + 1].date };
+        }
+        if (longest.len >= FLAT_RUN_DAYS) issues.push({ code: "flat", text: `Price unchanged for ${longest.len} days from ${longest.from}`, fixed: false });
+
+        const days = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+        const lastAsset = out[out.length - 1].date;
+        if (days(lastAsset, last) > STALE_DAYS) issues.push({ code: "stale", text: `Last price ${lastAsset}, ${days(lastAsset, last)} days before the market's`, fixed: false });
+
+        const gaps = [];
+        for (let i = 1; i < out.length; i++) {
+            const d = days(out[i - 1].date, out[i].date);
+            if (d > GAP_DAYS) gaps.push({ d, from: out[i - 1].date });
+        }
+        if (gaps.length) {
+            const worst = gaps.reduce((a, b) => (b.d > a.d ? b : a));
+            issues.push({ code: "gap", text: `${gaps.length} gap(s) over ${GAP_DAYS} days, longest ${worst.d} days after ${worst.from}`, fixed: false });
+        }
+
+        const dates = new Set(out.map(r => r.date));
+        const overlap = mktRows.filter(r => dates.has(r.date)).length / mktRows.length;
+        if (overlap < MIN_OVERLAP) issues.push({ code: "overlap", text: `Only ${(overlap * 100).toFixed(0)}% of the market's dates have a price`, fixed: false });
+        return { rows: out, issues };
+    }
+
+    // validateSeries() with a second opinion: when an unadjusted series (Stooq, a local file)
+    // has a split-like move, the same symbol is loaded from another feed through getSeries
+    // and, if that one is split-adjusted, used to confirm the split. `series` is a getSeries()
+    // result; `clip` cuts rows to the window being checked.
+    async function checkSeries(sym, series, mktRows, { getSeries, order, from, clip = (rows) => rows }) {
+        const checked = validateSeries(clip(series.rows), mktRows, { adjusted: series.adjusted });
+        if (series.adjusted || !checked.issues.some(q => q.code === "split" && !q.fixed)) return checked;
+        try {
+            const ref = await getSeries(sym, order.filter(id => id !== series.provider), from);
+            if (ref.adjusted) return validateSeries(clip(series.rows), mktRows, { reference: clip(ref.rows) });
+        } catch (e) {
+            if (e.cancelled) throw e;
+        }
+        return checked;
+    }
+
+    // --- Multi-factor ---
+    // Aligns an asset's returns with several factor series on the dates all of them share.
+    function alignMulti(asset, factors) {
+        const maps = factors.map(f => new Map(f.map(x => [x.date, x.r])));
+        const y = [], X = [];
+        for (const a of asset) {
+            const row = maps.map(m => m.get(a.date));
+            if (row.every(v => v !== undefined)) { y.push(a.r); X.push(row); }
+        }
+        return { y, X };
+    }
+
+    // Gauss-Jordan inverse with partial pivoting; null when the matrix is singular
+    // (e.g. two factors that are the same fund).
+    function invertMatrix(m) {
+        const k = m.length;
+        const a = m.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+        for (let c = 0; c < k; c++) {
+            let p = c;
+            for (let r = c + 1; r < k; r++) if (Math.abs(a[r][c]) > Math.abs(a[p][c])) p = r;
+            if (Math.abs(a[p][c]) < 1e-14) return null;
+            [a[c], a[p]] = [a[p], a[c]];
+            const piv = a[c][c];
+            for (let j = 0; j < 2 * k; j++) a[c][j] /= piv;
+            for (let r = 0; r < k; r++) {
+                if (r === c) continue;
+                const f = a[r][c];
+                for (let j = 0; j < 2 * k; j++) a[r][j] -= f * a[c][j];
+            }
+        }
+        return a.map(row => row.slice(k));
+    }
+
+    // OLS of y on an intercept plus every column of X, via the normal equations.
+    function regressMulti(y, X) {
+        const n = y.length;
+        const rows = X.map(r => [1, ...r]);
+        const k = rows[0].length;
+        const xtx = Array.from({ length: k }, () => new Array(k).fill(0));
+        const xty = new Array(k).fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let a = 0; a < k; a++) {
+                xty[a] += rows[i][a] * y[i];
+                for (let b = 0; b < k; b++) xtx[a][b] += rows[i][a] * rows[i][b];
+            }
+        }
+        const inv = invertMatrix(xtx);
+        if (!inv || n <= k) return null;
+        const coef = inv.map(row => row.reduce((s, v, j) => s + v * xty[j], 0));
+
+        const meanY = mean(y);
+        let sse = 0, sst = 0;
+        for (let i = 0; i < n; i++) {
+            const e = y[i] - rows[i].reduce((s, v, j) => s + v * coef[j], 0);
+            sse += e * e;
+            sst += (y[i] - meanY) * (y[i] - meanY);
+        }
+        const s2 = sse / (n - k);
+        return {
+            alpha: coef[0],
+            loadings: coef.slice(1),
+            se: inv.slice(1).map((row, j) => Math.sqrt(s2 * row[j + 1])),
+            r2: sst > 0 ? 1 - sse / sst : NaN,
+            n,
+        };
+    }
+
+    // Factor loadings of one holding on all benchmark series at once (alpha annualized).
+    function estimateFactorLoadings(assetRets, factorRets, freq) {
+        const cfg = FREQUENCIES[freq] || FREQUENCIES.daily;
+        const { y, X } = alignMulti(assetRets, factorRets);
+        if (y.length < cfg.minObs + factorRets.length) return null;
+        const fit = regressMulti(y, X);
+        return fit && { ...fit, alpha: fit.alpha * cfg.perYear };
+    }
+
+    // --- Risk ---
+    function mean(xs) { return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : NaN; }
+
+    function stdev(xs) {
+        if (xs.length < 2) return NaN;
+        const m = mean(xs);
+        return Math.sqrt(xs.reduce((s, x) => s + (x - m) * (x - m), 0) / (xs.length - 1));
+    }
+
+    function quantile(sorted, p) {
+        if (!sorted.length) return NaN;
+        const pos = (sorted.length - 1) * p;
+        const lo = Math.floor(pos), hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+
+    // Weighted portfolio returns on the dates every holding traded. retsByTicker maps
+    // ticker -> toReturns() output; weights maps ticker -> weight (summing to 1).
+    function portfolioReturns(retsByTicker, weights) {
+        const tickers = Array.from(weights.keys());
+        if (!tickers.length) return [];
+        const maps = tickers.map(t => new Map(retsByTicker.get(t).map(x => [x.date, x.r])));
+        return retsByTicker.get(tickers[0])
+            .filter(x => maps.every(m => m.has(x.date)))
+            .map(x => ({ date: x.date, r: tickers.reduce((s, t, i) => s + weights.get(t) * maps[i].get(x.date), 0) }));
+    }
+
+    function maxDrawdown(rets) {
+        let value = 1, peak = 1, worst = 0;
+        for (const r of rets) {
+            value *= 1 + r;
+            peak = Math.max(peak, value);
+            worst = Math.min(worst, value / peak - 1);
+        }
+        return -worst;
+    }
+
+    // Volatility, active risk vs. the proxy, drawdown and VaR/CVaR (as positive losses) of a
+    // daily portfolio return series. 10-day figures use square-root-of-time scaling.
+    function riskMetrics(port, mktRets) {
+        const rets = port.map(x => x.r);
+        const { asset: rp, mkt: rm } = alignReturns(port, mktRets);
+        const active = rp.map((r, i) => r - rm[i]);
+        const te = stdev(active) * Math.sqrt(TRADING_DAYS);
+        const mu = mean(rets), sd = stdev(rets);
+        const sorted = rets.slice().sort((a, b) => a - b);
+
+        const varRows = VAR_LEVELS.map(level => {
+            const q = quantile(sorted, 1 - level);
+            const z = Z_SCORES[level];
+            const pdf = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+            const oneDay = {
+                histVaR: -q,
+                histCVaR: -mean(sorted.filter(x => x <= q)),
+                paramVaR: z * sd - mu,
+                paramCVaR: sd * pdf / (1 - level) - mu,
+            };
+            const tenDay = {
+                histVaR: oneDay.histVaR * Math.sqrt(10),
+                histCVaR: oneDay.histCVaR * Math.sqrt(10),
+                paramVaR: z * sd * Math.sqrt(10) - 10 * mu,
+                paramCVaR: sd * Math.sqrt(10) * pdf / (1 - level) - 10 * mu,
+            };
+            return { level, oneDay, tenDay };
+        });
+
+        return {
+            n: rets.length,
+            nActive: active.length,
+            vol: sd * Math.sqrt(TRADING_DAYS),
+            te,
+            ir: te > 0 ? mean(active) * TRADING_DAYS / te : NaN,
+            maxDD: maxDrawdown(rets),
+            varRows,
+        };
+    }
+
+    // Pearson correlations between holdings over the same dates portfolioReturns() uses.
+    function correlationMatrix(retsByTicker, tickers, dates) {
+        const cols = tickers.map(t => {
+            const m = new Map(retsByTicker.get(t).map(x => [x.date, x.r]));
+            return dates.map(d => m.get(d));
+        });
+        return cols.map(a => cols.map(b => {
+            const ma = mean(a), mb = mean(b);
+            let sab = 0, saa = 0, sbb = 0;
+            for (let i = 0; i < a.length; i++) {
+                sab += (a[i] - ma) * (b[i] - mb);
+                saa += (a[i] - ma) * (a[i] - ma);
+                sbb += (b[i] - mb) * (b[i] - mb);
+            }
+            return saa > 0 && sbb > 0 ? sab / Math.sqrt(saa * sbb) : NaN;
+        }));
+    }
+
+    // The Proxy field takes one or more comma/space separated symbols; the first is the
+    // primary benchmark used for the portfolio beta and the risk report.
+    function parseBenchmarks(raw) {
+        const syms = (raw || "").split(/[\s,;]+/).map(canonicalTicker).filter(Boolean);
+        return [...new Set(syms)];
+    }
+
+    // Provider-neutral form of a ticker ("spy.us" and "spy" both become "SPY"); each
+    // provider derives its own symbol from it.
+    function canonicalTicker(raw) {
+        return (raw || "").trim().toUpperCase().replace(/\.US$/, "");
+    }
+
+    function normalizeTicker(raw, source) {
+        let t = (raw || "").trim().toUpperCase();
+        if (!t) return "";
+        if (source === "stooq") {
+            if (/\.[a-z]{2,}$/i.test(t)) return t.toLowerCase();
+            t = t.replace(/\s+/g, "");
+            return t.includes(".") ? t.toLowerCase() : `${t.toLowerCase()}.us`;
+        } else {
+            return t.replace(/\./g, "-");
+        }
+    }
+
+    function safeNum(x) {
+        const s = String(x).replace(/[$,%]/g, "").trim();
+        // Accounting negatives, e.g. "($1,234.00)" for a short option.
+        const n = /^\(.*\)$/.test(s) ? -Number(s.slice(1, -1)) : Number(s);
+        return Number.isFinite(n) ? n : NaN;
+    }
+
+    // --- Positions ---
+    const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+    // Recognizes OCC symbols ("AAPL  250117C00150000") and Merrill's display forms
+    // ("AAPL JAN 17 2025 150 CALL", "CALL AAPL 01/17/25 150.00"). Returns null otherwise.
+    function parseOption(text) {
+        const t = (text || "").toUpperCase().replace(/\s+/g, " ").trim();
+        const occ = /^([A-Z.]{1,6}) ?(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/.exec(t);
+        if (occ) {
+            return { underlying: occ[1], expiry: `20${occ[2]}-${occ[3]}-${occ[4]}`, type: occ[5], strike: Number(occ[6]) / 1000 };
+        }
+        const m = /^(?:(CALL|PUT) )?([A-Z.]{1,6}) (?:(\d{1,2})\/(\d{1,2})\/(\d{2,4})|([A-Z]{3}) (\d{1,2}),? (\d{2,4})) \$?(\d+(?:\.\d+)?)(?: (CALL|PUT|C|P))?\b/.exec(t);
+        if (!m || !(m[1] || m[10])) return null;
+        let year, month, day;
+        if (m[3]) { month = Number(m[3]); day = Number(m[4]); year = Number(m[5]); }
+        else { month = MONTHS.indexOf(m[6]) + 1; day = Number(m[7]); year = Number(m[8]); }
+        if (!month) return null;
+        if (year < 100) year += 2000;
+        return {
+            underlying: m[2],
+            expiry: `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`,
+            type: (m[1] || m[10])[0],
+            strike: Number(m[9]),
+        };
+    }
+
+    // Canonical OCC-style symbol, so an option typed or scraped in any form is one holding.
+    function occSymbol(opt) {
+        const [y, mo, d] = opt.expiry.split("-");
+        return `${opt.underlying} ${y.slice(2)}${mo}${d}${opt.type}${String(Math.round(opt.strike * 1000)).padStart(8, "0")}`;
+    }
+
+    // Classifies a position from its symbol and, when scraped, its description.
+    function classifyPosition(symbol, description = "") {
+        const sym = (symbol || "").trim().toUpperCase();
+        const desc = (description || "").toUpperCase();
+        if (parseOption(sym) || parseOption(desc)) return "option";
+        if (/^(CASH|USD|--)$/.test(sym) || (!/^[A-Z]{1,5}$/.test(sym) && /\b(CASH|SWEEP|BANK DEPOSIT|DEPOSIT PROGRAM)\b/.test(`${sym} ${desc}`))) return "cash";
+        if (/^[A-Z]{3}XX$/.test(sym) || /MONEY MARKET|MONEY FUND|\bMMF\b/.test(desc)) return "moneyMarket";
+        if (/^[0-9A-Z]{8}[0-9]$/.test(sym) && /\d/.test(sym.slice(0, 8))) {
+            return /CERT(IFICATE)? OF DEP|\bCTF DEP|\bCD\b/.test(desc) ? "cd" : "bond";
+        }
+        return "equity";
+    }
+
+    // Turns a scraped symbol cell + description into { ticker, assetClass }, or null for
+    // junk and subtotal rows. Non-equity tickers are normalized so they classify the same
+    // way again when the holdings text is parsed.
+    function scrapedPosition(symbolText, description) {
+        const raw = (symbolText || "").replace(/\s+/g, " ").trim();
+        // Subtotals are told by the symbol cell only; fund names say "Total Stock Market" too
+        if (/\b(sub)?total\b/i.test(raw)) return null;
+        const opt = parseOption(raw) || parseOption(description);
+        if (opt) return { ticker: occSymbol(opt), assetClass: "option" };
+        let assetClass = classifyPosition(raw.split(" ")[0], description);
+        // Sweep rows name the program in the symbol cell ("ML BANK DEPOSIT PROGRAM") or the
+        // description, and the first word alone would pass for a ticker.
+        if (assetClass === "equity" && (classifyPosition(raw, description) === "cash" || /\b(SWEEP|BANK DEPOSIT|DEPOSIT PROGRAM)\b/i.test(description))) assetClass = "cash";
+        if (assetClass === "cash") return { ticker: "CASH", assetClass };
+        const ticker = raw.split(" ")[0];
+        if (assetClass === "equity" && (!ticker || /[a-z0-9]/.test(ticker))) return null; // skip junk/lowercase
+        return ticker ? { ticker, assetClass } : null;
+    }
+
+    // --- Options ---
+    // Standard normal CDF (Abramowitz-Stegun 26.2.17, |error| < 7.5e-8).
+    function normCdf(x) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(x));
+        const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+        const p = 1 - Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI) * poly;
+        return x >= 0 ? p : 1 - p;
+    }
+
+    // Black-Scholes delta and elasticity (Δ·S / option price) of one option. Elasticity
+    // turns the underlying's beta into beta per dollar of option value.
+    function optionGreeks(opt, spot, vol, asOf) {
+        const T = Math.max((Date.parse(opt.expiry) - Date.parse(asOf)) / (365 * 864e5), 1 / 365);
+        const sd = vol * Math.sqrt(T);
+        const d1 = (Math.log(spot / opt.strike) + (RISK_FREE_RATE + vol * vol / 2) * T) / sd;
+        const d2 = d1 - sd;
+        const disc = Math.exp(-RISK_FREE_RATE * T);
+        const call = opt.type === "C";
+        const price = call
+            ? spot * normCdf(d1) - opt.strike * disc * normCdf(d2)
+            : opt.strike * disc * normCdf(-d2) - spot * normCdf(-d1);
+        const delta = call ? normCdf(d1) : normCdf(d1) - 1;
+        return { delta, price, elasticity: price > 1e-4 ? delta * spot / price : NaN };
+    }
+
+    // --- Holdings Files ---
+    // Splits CSV text into rows of cells, honouring quoted cells with commas and "" escapes.
+    function parseCsvRows(text) {
+        const rows = [];
+        let row = [], cell = "", quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else cell += c;
+            } else if (c === '"') quoted = true;
+            else if (c === ",") { row.push(cell.trim()); cell = ""; }
+            else if (c === "\n" || c === "\r") {
+                if (c === "\r" && text[i + 1] === "\n") i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = "";
+            } else cell += c;
+        }
+        if (cell || row.length) rows.push([...row, cell.trim()]);
+        return rows;
+    }
+
+    function csvCell(v) {
+        const str = v === undefined || v === null || (typeof v === "number" && isNaN(v)) ? "" : String(v);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    // Account names go into the comma-separated holdings text, so commas become spaces
+    // ("Joint, WROS 222-33333" → "Joint WROS 222-33333").
+    function accountName(s) {
+        return (s || "").replace(/[\s,]+/g, " ").trim().slice(0, 60);
+    }
+
+    // Merrill's holdings download has one block per account: an account line, a header row
+    // with Symbol and Value columns, the positions, and a total line. Column names vary a
+    // little between account types, so they are matched the same way the page scrape does.
+    function parseHoldingsCsv(text) {
+        const rawRows = [];
+        let cols = null;
+        let account = UNASSIGNED_ACCOUNT;
+        for (const cells of parseCsvRows(text)) {
+            const filled = cells.filter(Boolean);
+            if (!filled.length) { cols = null; continue; }
+            const lower = cells.map(c => c.toLowerCase());
+            const symIdx = lower.findIndex(h => /^(symbol|ticker)\b/.test(h));
+            if (symIdx !== -1) {
+                const mvIdx = ["market value", "current value", "value"].map(name => lower.findIndex(h => h.startsWith(name))).find(i => i !== -1);
+                cols = {
+                    sym: symIdx,
+                    mv: mvIdx === undefined ? -1 : mvIdx,
+                    w: lower.findIndex(h => /% of|weight|allocation/.test(h)),
+                    desc: lower.findIndex(h => /description|security|name/.test(h)),
+                    acct: lower.findIndex(h => /^account\b(?!.*(type|registration))/.test(h)),
+                };
+                if (cols.mv === -1 && cols.w === -1) cols = null;
+                continue;
+            }
+            if (!cols) {
+                if (filled.length <= 4 && filled.some(c => ACCOUNT_LABEL_RE.test(c))) account = accountName(filled.find(c => ACCOUNT_LABEL_RE.test(c)));
+                continue;
+            }
+            const position = scrapedPosition(cells[cols.sym], cols.desc !== -1 ? cells[cols.desc] || "" : "");
+            if (!position) continue;
+            const mv = cols.mv !== -1 ? safeNum(cells[cols.mv]) : 0;
+            let w = cols.w !== -1 ? safeNum(cells[cols.w]) : 0;
+            if (cols.w !== -1 && /%/.test(cells[cols.w] || "")) w /= 100;
+            const acct = cols.acct !== -1 && accountName(cells[cols.acct]) ? accountName(cells[cols.acct]) : account;
+            if ((Number.isFinite(mv) && mv !== 0) || w > 0) rawRows.push({ ...position, mv, w, account: acct });
+        }
+        return aggregateRows(rawRows);
+    }
+
+    // Sums raw position rows ({ ticker, assetClass, account, mv, w }) into account holdings
+    // with weights. Shared by the page scrape and the holdings-download import.
+    function aggregateRows(rawRows) {
+        // --- Aggregation Step ---
+        // Prefer Market Value for aggregation.
+        // If some rows have MV and others don't, it's messy. We will assume if MV exists, we use it.
+
+        // Map: Account + Ticker -> Total MV (a ticker held in two accounts stays two holdings)
+        const tickerMap = new Map();
+        let globalMV = 0;
+        const accountCount = new Set(rawRows.map(r => r.account)).size;
+
+        for (const r of rawRows) {
+            if (Number.isFinite(r.mv) && r.mv !== 0) {
+                const key = `${r.account}\u0000${r.ticker}`;
+                const cur = tickerMap.get(key) || { ticker: r.ticker, account: r.account, assetClass: r.assetClass, mv: 0 };
+                cur.mv += r.mv;
+                tickerMap.set(key, cur);
+                globalMV += r.mv;
+            }
+        }
+
+        // If we found valid dollar values, use them to build weights
+        if (globalMV > 0) {
+            const uniqueHoldings = [];
+            for (const h of tickerMap.values()) {
+                uniqueHoldings.push({ ticker: h.ticker, account: h.account, assetClass: h.assetClass, weight: (h.mv / globalMV).toFixed(5) }); // 5 decimals for precision
+            }
+            return { accountCount, rowCount: rawRows.length, holdings: uniqueHoldings, totalMV: globalMV };
+        }
+
+        // Fallback: If no dollar values found (only %), we can't mathematically sum them accurately
+        // without knowing the account size.
+        // Best Effort: Just average the weights or sum them (assuming they belong to the same pot).
+        // Here we will just List them all and let the user decide.
+        // But likely we won't hit this on Merrill, as MV is standard.
+        return {
+            accountCount,
+            rowCount: rawRows.length,
+            holdings: rawRows.map(r => ({ ticker: r.ticker, account: r.account, assetClass: r.assetClass, weight: r.w || 0.01 })), // default dummy weight
+            totalMV: 0
+        };
+    }
+
+    // The class column is only written when the ticker alone would classify differently (CDs).
+    function holdingsText(holdings) {
+        return holdings.map(h => {
+            const cls = h.assetClass !== classifyPosition(h.ticker) ? `, ${h.assetClass}` : "";
+            return `${h.ticker}, ${h.weight}, ${accountName(h.account)}${cls}`;
+        }).join("\n");
+    }
+
+    // Holdings text as typed or scraped: TICKER, WEIGHT[, ACCOUNT[, CLASS]] per line, with
+    // weights as fractions or percentages. Weights are normalized to sum to 1; option
+    // tickers are rewritten as OCC symbols.
+    function parseHoldingsText(text) {
+        const holdings = [];
+        for (const line of text.split("\n").filter(x => x.trim())) {
+            const [t, wRaw, account, cls] = line.split(",").map(s => s.trim());
+            let w = safeNum(wRaw);
+            if (/%/.test(wRaw)) w /= 100;
+            if (!t || !Number.isFinite(w) || w === 0) continue;
+            const assetClass = ASSET_CLASSES[cls] ? cls : classifyPosition(t);
+            const opt = assetClass === "option" && parseOption(t);
+            holdings.push({ ticker: opt ? occSymbol(opt) : t, weight: w, account: account || UNASSIGNED_ACCOUNT, assetClass });
+        }
+        const wSum = holdings.reduce((s, h) => s + h.weight, 0);
+        holdings.forEach(h => h.weight /= wSum);
+        return holdings;
+    }
+
+    // --- Estimation Engine ---
+    // The series a holding's beta is estimated from: its own ticker, an option's underlying,
+    // or nothing for classes with a fixed beta. `localSymbols` (a Set) lists tickers with a
+    // local price file; those are estimated even in a fixed-beta class (CUSIP-only bonds, CDs).
+    function priceSymbol(h, localSymbols) {
+        if (ASSET_CLASSES[h.assetClass].defaultBeta !== undefined) {
+            return localSymbols && localSymbols.has(canonicalTicker(h.ticker)) ? canonicalTicker(h.ticker) : "";
+        }
+        if (h.assetClass === "option") return canonicalTicker(parseOption(h.ticker).underlying);
+        return canonicalTicker(h.ticker);
+    }
+
+    // Combines a holding with its beta according to its class. `sym` is the series behind
+    // the beta (the underlying for options), which is what retry and the risk report use.
+    // Fixed-beta classes with a local price file fall back to the class beta only when the
+    // file gave no estimate. `ctx.localSymbols` is priceSymbol's optional set.
+    async function estimateHolding(h, betaBySym, ctx, getSeries) {
+        const sym = priceSymbol(h, ctx.localSymbols);
+        const cls = ASSET_CLASSES[h.assetClass];
+        if (cls.defaultBeta !== undefined) {
+            const local = sym && betaBySym.get(sym);
+            if (local && !isNaN(local.beta)) return { ...h, sym, ...local, method: "regression" };
+            const benchBetas = Object.fromEntries(ctx.benchmarks.map(b => [b, cls.defaultBeta]));
+            return { ...h, sym: "", beta: cls.defaultBeta, benchBetas, n: 0, method: "default" };
+        }
+        const est = betaBySym.get(sym) || { beta: NaN, n: 0, error: "Not estimated" };
+        if (h.assetClass !== "option") return { ...h, sym, ...est, method: "regression" };
+
+        // Option: β = elasticity × β(underlying), with historical vol standing in for implied vol.
+        if (est.error || isNaN(est.beta)) return { ...h, sym, ...est, beta: NaN, method: "delta" };
+        try {
+            const rows = (await getSeries(sym, ctx.order, historyStart(ctx))).rows.filter(r => r.date <= ctx.window.end);
+            const rets = toReturns(rows.slice(-(OPTION_VOL_DAYS + 1))).map(x => x.r);
+            const last = rows[rows.length - 1];
+            const g = optionGreeks(parseOption(h.ticker), last.close, stdev(rets) * Math.sqrt(TRADING_DAYS), last.date);
+            if (!Number.isFinite(g.elasticity)) throw new Error("Model option price is ~0 (far out of the money); enter its beta by hand");
+            const benchBetas = Object.fromEntries(Object.entries(est.benchBetas || {}).map(([b, v]) => [b, v * g.elasticity]));
+            return {
+                ...h, sym, ...est,
+                beta: est.beta * g.elasticity,
+                ciLo: est.ciLo * g.elasticity, ciHi: est.ciHi * g.elasticity, se: est.se * Math.abs(g.elasticity),
+                underlyingBeta: est.beta, delta: g.delta, elasticity: g.elasticity, benchBetas, factors: null,
+                method: "delta",
+            };
+        } catch (e) {
+            return { ...h, sym, beta: NaN, n: 0, error: e.message, method: "delta" };
+        }
+    }
+
+    // Estimates all symbols at once; whatever is behind getSeries bounds the network traffic.
+    // Resolves to { betaBySym, marketProviders, marketErrors, window }; failures become
+    // { error } entries. A secondary benchmark without prices only leaves its own betas
+    // (and the multi-factor fit) empty.
+    // `cache` ({ get, set } with getCachedBeta's arguments) and `onProgress(done, total,
+    // failed)` are optional.
+    async function computeBetas(symbols, ctx, { getSeries, cache, onProgress = () => {} }) {
+        const { source, order, benchmarks, multiFactor, lookback, range, freq, method, estimator } = ctx;
+        const from = historyStart(ctx);
+        const wKey = windowKey(ctx);
+
+        // The primary benchmark fixes the calendar window before anything else is estimated.
+        const primary = await getSeries(benchmarks[0], order, from);
+        const runWindow = resolveWindow(primary.rows, range, lookback);
+        const clip = (rows) => rows.filter(r => r.date >= runWindow.start && r.date <= runWindow.end);
+
+        // Benchmark series are only downloaded once some holding needs them, and only once.
+        const mktRows = new Map();
+        const mktRets = new Map();
+        const marketProviders = { [benchmarks[0]]: primary.provider };
+        const marketErrors = {};
+        const marketRows = (b) => {
+            if (!mktRows.has(b)) {
+                mktRows.set(b, b === benchmarks[0] ? Promise.resolve(clip(primary.rows)) : getSeries(b, order, from).then(({ rows, provider }) => {
+                    marketProviders[b] = provider;
+                    return clip(rows);
+                }));
+            }
+            return mktRows.get(b);
+        };
+        const marketReturns = (b) => {
+            if (!mktRets.has(b)) mktRets.set(b, marketRows(b).then(rows => toReturns(resamplePrices(rows, freq))));
+            return mktRets.get(b);
+        };
+
+        const estimateSymbol = async (sym) => {
+            const cachedBy = benchmarks.map(b => (cache ? cache.get(source, sym, b, wKey, estimator) : null));
+            if (!multiFactor && cachedBy.every(Boolean)) {
+                const benchBetas = Object.fromEntries(benchmarks.map((b, k) => [b, cachedBy[k].beta]));
+                return { ...cachedBy[0], benchBetas, cached: true };
+            }
+
+            const series = await getSeries(sym, order, from);
+            const { provider } = series;
+            const checked = await checkSeries(sym, series, await marketRows(benchmarks[0]), { getSeries, order, from, clip });
+            const assetRets = toReturns(resamplePrices(checked.rows, freq));
+            const benchStats = [];
+            for (const [k, b] of benchmarks.entries()) {
+                let stats = cachedBy[k];
+                if (!stats) {
+                    let benchRets;
+                    try {
+                        benchRets = await marketReturns(b);
+                    } catch (e) {
+                        if (e.cancelled) throw e;
+                        marketErrors[b] = e.message;
+                        benchStats.push({ beta: NaN, n: 0 });
+                        continue;
+                    }
+                    const { asset, mkt, dates } = alignReturns(assetRets, benchRets);
+                    stats = { ...estimateBeta(asset, mkt, method, freq), provider, quality: checked.issues, first: dates[0], last: dates[dates.length - 1] };
+                    if (cache && !isNaN(stats.beta)) cache.set(source, sym, b, wKey, estimator, stats);
+                }
+                benchStats.push(stats);
+            }
+            let factors = null;
+            if (multiFactor) {
+                const factorRets = await Promise.all(benchmarks.map(b => marketReturns(b).catch((e) => {
+                    if (e.cancelled) throw e;
+                    marketErrors[b] = e.message;
+                    return null;
+                })));
+                if (factorRets.every(Boolean)) factors = estimateFactorLoadings(assetRets, factorRets, freq);
+            }
+            const benchBetas = Object.fromEntries(benchmarks.map((b, k) => [b, benchStats[k].beta]));
+            return { ...benchStats[0], benchBetas, factors, provider, quality: checked.issues, cached: false };
+        };
+
+        const betaBySym = new Map();
+        let done = 0, failed = 0;
+        onProgress(done, symbols.length, failed);
+        await Promise.all(symbols.map(async (sym) => {
+            try {
+                betaBySym.set(sym, await estimateSymbol(sym));
+            } catch (e) {
+                failed++;
+                betaBySym.set(sym, { beta: NaN, n: 0, error: e.message });
+            }
+            onProgress(++done, symbols.length, failed);
+        }));
+        return { betaBySym, marketProviders, marketErrors, window: runWindow };
+    }
+
+    // NaN when no holding has a beta, rather than a portfolio beta of 0.
+    function portfolioBeta(results) {
+        if (!results.some(r => !isNaN(r.beta))) return NaN;
+        return results.reduce((s, r) => (isNaN(r.beta) ? s : s + r.weight * r.beta), 0);
+    }
+
+    // Results as CSV: one line per account holding, then the portfolio beta, value, window
+    // and, when given, the risk figures. Multi-factor runs add each holding's loadings.
+    function resultsCsv(results, { benchmarks, window, totalMV, risk, multiFactor }) {
+        const head = ["Account", "Ticker", "Class", "Weight", "Beta", "Method", "Estimated beta", "Override note", "CI low", "CI high",
+            "R2", "Alpha", "Observations", "First return", "Last return", "Provider", ...benchmarks.map(b => `Beta vs ${b}`),
+            ...(multiFactor ? [...benchmarks.map(b => `Loading on ${b}`), "Factor R2"] : []), "Error"];
+        const lines = [head, ...results.map(r => [
+            r.account, r.ticker, r.assetClass, r.weight.toFixed(6), r.beta, r.override ? "manual" : r.method, r.estimatedBeta,
+            r.override ? r.override.note : "", r.ciLo, r.ciHi, r.r2, r.alpha, r.n, r.first, r.last, r.provider,
+            ...benchmarks.map(b => r.benchBetas ? r.benchBetas[b] : ""),
+            ...(multiFactor ? [...benchmarks.map((b, k) => r.factors ? r.factors.loadings[k] : ""), r.factors ? r.factors.r2 : ""] : []), r.error,
+        ])];
+        lines.push([], ["Portfolio beta", portfolioBeta(results)], ["Total market value", totalMV || ""],
+            ["Window", window ? window.start : "", window ? window.end : ""]);
+        if (risk) {
+            const m = risk.metrics;
+            lines.push([], [`Risk (${risk.view || "All accounts"}, ${risk.n} days)`],
+                ["Volatility", m.vol], ["Tracking error", m.te], ["Information ratio", m.ir], ["Max drawdown", m.maxDD]);
+            for (const v of m.varRows) {
+                for (const [k, label] of [["histVaR", "Historical VaR"], ["histCVaR", "Historical CVaR"], ["paramVaR", "Parametric VaR"], ["paramCVaR", "Parametric CVaR"]]) {
+                    lines.push([`${label} ${v.level * 100}%`, v.oneDay[k], v.tenDay[k]]);
+                }
+            }
+        }
+        return lines.map(row => row.map(csvCell).join(",")).join("\n");
+    }
+
+    return {
+        DEFAULT_LOOKBACK_DAYS, DEFAULT_MARKET, FREQUENCIES, ESTIMATORS, BLUME_WEIGHT, VASICEK_PRIOR, ASSET_CLASSES, TRADING_DAYS, VAR_LEVELS,
+        UNASSIGNED_ACCOUNT, ACCOUNT_LABEL_RE,
+        STOOQ_URL, YAHOO_URL, parseStooqCsv, parseYahooChart, createProviders, createSeriesLoader, parsePriceCsv, toISODate,
+        todayISO, shiftDate, resolveWindow, historyStart, clipRows, windowKey,
+        toReturns, resamplePrices, alignReturns, regress, estimateBeta, validateSeries, checkSeries, estimateFactorLoadings,
+        mean, stdev, quantile, portfolioReturns, maxDrawdown, riskMetrics, correlationMatrix,
+        parseBenchmarks, canonicalTicker, normalizeTicker, safeNum, parseOption, occSymbol, classifyPosition, scrapedPosition, optionGreeks,
+        parseCsvRows, csvCell, accountName, parseHoldingsCsv, aggregateRows, holdingsText, parseHoldingsText,
+        priceSymbol, estimateHolding, computeBetas, portfolioBeta, resultsCsv,
+    };
+});
@@ -0,0 +1,238 @@
+// Merrill Portfolio Beta — broker page adapters.
+// Finds holdings tables on a broker's positions page and reads them into raw position rows
+// ({ ticker, assetClass, account, mv, w }) for aggregateRows(). Only standard DOM calls, so
+// an adapter can be run against a saved HTML page (e.g. a jsdom document) as well as the
+// live one. Loaded by the userscript through @require (as the BrokerAdapters global).
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory(require("./beta-core.js"));
+    else root.BrokerAdapters = factory(root.BetaCore);
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+    "use strict";
+
+    const { ACCOUNT_LABEL_RE, accountName, safeNum, scrapedPosition } = core;
+
+    // --- Column Detection ---
+    // Header patterns per column role, best match first. A header is taken by the first role
+    // that claims it, so "% of Value" is a weight and never the market value.
+    const COLUMN_ROLES = ["sym", "w", "mv", "desc"];
+    const COLUMN_PATTERNS = {
+        sym: [/^(symbol|ticker)\b/i, /\b(symbol|ticker)\b/i, /\bcusip\b/i],
+        w: [/(%|percent)\s*of\s*(acc(oun)?t|portfolio|total|value|holdings)/i, /\b(weight|allocation)\b/i, /^%$/],
+        mv: [/^(total\s+)?(market|current)\s*value\b/i, /\b(market|current)\s*value\b/i, /\bmkt\.?\s*val/i, /^value\b/i, /\bvalue\b/i],
+        desc: [/^(description|security|name)\b/i, /\b(description|security\s*name)\b/i],
+    };
+    // Value-like headers that are never a position's market value.
+    const NOT_MARKET_VALUE = /change|gain|loss|cost|price|%|\bday\b|unrealized|income/i;
+
+    function textOf(el) {
+        return el ? (el.innerText || el.textContent || "").replace(/\s+/g, " ").trim() : "";
+    }
+
+    // Maps each column role to a header index (-1 when the table has none).
+    function guessColumns(headers) {
+        const cols = { sym: -1, mv: -1, w: -1, desc: -1 };
+        const taken = new Set();
+        for (const role of COLUMN_ROLES) {
+            for (const re of COLUMN_PATTERNS[role]) {
+                const i = headers.findIndex((h, idx) => !taken.has(idx) && re.test(h) && !(role === "mv" && NOT_MARKET_VALUE.test(h)));
+                if (i !== -1) { cols[role] = i; taken.add(i); break; }
+            }
+        }
+        return cols;
+    }
+
+    // --- Reading Tables ---
+    // Tables and ARIA grids are read the same way: header cells, then body rows of cells.
+    // Row headers (<th scope="row">) count as body cells, so the symbol may be one.
+    const BODY_CELLS = "td, th[scope=row], [role=gridcell], [role=cell], [role=rowheader]";
+
+    function defaultHeaders(table) {
+        let cells = table.querySelectorAll("thead th, [role=columnheader]");
+        if (!cells.length) {
+            const first = table.querySelector("tr");
+            cells = first ? first.querySelectorAll("th") : [];
+        }
+        return Array.from(cells).map(textOf);
+    }
+
+    function defaultRows(table) {
+        const rows = Array.from(table.querySelectorAll("tbody tr, [role=row]"));
+        return rows.map(tr => Array.from(tr.querySelectorAll(BODY_CELLS))).filter(cells => cells.length);
+    }
+
+    // Listed securities are usually links with the bare ticker; cash, CUSIPs and options are
+    // often plain text, sometimes with the description in the same cell. Footnote asterisks
+    // (Fidelity's "SPAXX**" core position) are dropped.
+    function symbolText(cell) {
+        const a = cell.querySelector("a");
+        return (textOf(a) || textOf(cell)).replace(/\*+(?=\s|$)/g, "");
+    }
+
+    // Raw position rows of one table under a column mapping.
+    function readTable(rows, cols, account) {
+        const out = [];
+        for (const cells of rows) {
+            if (cols.sym === -1 || cells.length <= Math.max(cols.sym, cols.mv, cols.w)) continue;
+            const desc = cols.desc !== -1 && cells[cols.desc] ? textOf(cells[cols.desc]) : "";
+            const position = scrapedPosition(symbolText(cells[cols.sym]), desc);
+            if (!position) continue;
+            const mv = cols.mv !== -1 ? safeNum(textOf(cells[cols.mv])) : 0;
+            let w = 0;
+            if (cols.w !== -1) {
+                const rawW = textOf(cells[cols.w]);
+                w = safeNum(rawW);
+                if (/%/.test(rawW)) w /= 100;
+            }
+            // Short options carry a negative MV
+            if ((Number.isFinite(mv) && mv !== 0) || w > 0) out.push({ ...position, mv, w, account });
+        }
+        return out;
+    }
+
+    // --- Page Scan ---
+    // Saved column maps are keyed by adapter and header row, so one correction applies to
+    // every table with the same layout, on any account.
+    function layoutKey(adapter, headers) {
+        return `${adapter.id}:${headers.map(h => h.toLowerCase()).join("|")}`;
+    }
+
+    // Every table that looks like holdings, with its account, layout and column mapping.
+    // `columnMaps` (layoutKey -> { sym, mv, w, desc, skip }) overrides the detected mapping.
+    function detectTables(doc, adapter, columnMaps = {}) {
+        const found = [];
+        (adapter.tables || defaultTables)(doc).forEach((table, index) => {
+            const headers = (adapter.headers || defaultHeaders)(table);
+            if (!headers.length) return;
+            const key = layoutKey(adapter, headers);
+            const saved = columnMaps[key];
+            const detected = guessColumns(headers);
+            const cols = saved ? { ...detected, ...saved } : detected;
+            // Must have a ticker column and either a value or a weight column to be useful
+            if (!saved && (cols.sym === -1 || (cols.mv === -1 && cols.w === -1))) return;
+            const rows = (adapter.rows || defaultRows)(table);
+            if (!rows.length) return;
+            found.push({ index, table, headers, key, cols, detected, saved: Boolean(saved), rows, account: adapter.accountLabel(table, index) });
+        });
+        return found;
+    }
+
+    // Pagination or "load more" controls next to a table: the rows shown are one page of many.
+    const PAGER = "[aria-label*=pagination i], [aria-label*=pager i], .pagination, [class*=paginat i], [class*=pager i]";
+    const MORE_TEXT = /^(next|next page|load more|show more|view more)\b/i;
+    function hasPager(table) {
+        let node = table.parentElement;
+        for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+            if (Array.from(node.querySelectorAll(PAGER)).some(el => !table.contains(el))) return true;
+            if (Array.from(node.querySelectorAll("button, a")).some(el => !table.contains(el) && MORE_TEXT.test(textOf(el)))) return true;
+        }
+        return false;
+    }
+
+    // Rows of every detected table that isn't skipped, per table ({ account, key, paged, rows })
+    // and all together.
+    function scrapePage(doc, adapter, columnMaps) {
+        const tables = detectTables(doc, adapter, columnMaps)
+            .filter(t => !t.cols.skip)
+            .map(t => ({ account: t.account, key: t.key, paged: (adapter.isPaged || hasPager)(t.table), rows: readTable(t.rows, t.cols, t.account) }))
+            .filter(t => t.rows.length);
+        return { tableCount: tables.length, tables, rawRows: tables.flatMap(t => t.rows) };
+    }
+
+    // --- Adapters ---
+    // An adapter describes one broker's positions page:
+    //   id, label                  key for saved column maps; name shown in the panel
+    //   matches(hostname, path)    true on the broker's pages
+    //   accountLabel(table, index) account a holdings table belongs to
+    //   watchRoot(doc)             element whose changes mean holdings loaded or the account switched
+    //   isPaged(table)             optional; true when the table shows one page of its rows
+    //   tables, headers, rows      optional; default to every <table>/ARIA grid, its header
+    //                              cells and its body rows of cells
+    // Innermost tables only: a layout table wrapping the holdings table would repeat its rows.
+    function defaultTables(doc) {
+        const TABLES = "table, [role=grid], [role=table]";
+        return Array.from(doc.querySelectorAll(TABLES)).filter(t => !t.querySelector(TABLES));
+    }
+
+    // Nearest heading (or caption) above the table, preferring one that reads like an account
+    // name. Falls back to "Table N" when nothing matches.
+    function headingAbove(table, tableIndex) {
+        if (table.caption && accountName(textOf(table.caption))) return accountName(textOf(table.caption));
+
+        let fallback = "";
+        let node = table;
+        const body = table.ownerDocument.body;
+        for (let depth = 0; node && node !== body && depth < 6; depth++) {
+            let sib = node.previousElementSibling;
+            for (let hops = 0; sib && hops < 4; hops++, sib = sib.previousElementSibling) {
+                const headings = sib.matches("h1,h2,h3,h4,h5,h6,[role=heading]")
+                    ? [sib]
+                    : Array.from(sib.querySelectorAll("h1,h2,h3,h4,h5,h6,[role=heading]"));
+                for (const h of headings.reverse()) {
+                    const text = accountName(textOf(h));
+                    if (!text) continue;
+                    if (ACCOUNT_LABEL_RE.test(text)) return text;
+                    if (!fallback) fallback = text;
+                }
+            }
+            node = node.parentElement;
+        }
+        return fallback || `Table ${tableIndex + 1}`;
+    }
+
+    const mainContent = (doc) => doc.querySelector("main, [role=main]") || doc.body;
+
+    const ADAPTERS = {
+        // Merrill renders each account as its own section, so the account name is the nearest
+        // heading above the table.
+        merrill: {
+            id: "merrill",
+            label: "Merrill",
+            matches: (host, path) => /(^|\.)ml\.com$/.test(host) && /TFPHoldings/i.test(path),
+            accountLabel: headingAbove,
+            watchRoot: mainContent,
+        },
+        // Fidelity's positions page is an ag-grid: the pinned symbol column and the other
+        // columns are separate row elements that share a row-index.
+        fidelity: {
+            id: "fidelity",
+            label: "Fidelity",
+            matches: (host) => /(^|\.)fidelity\.com$/.test(host),
+            tables: (doc) => {
+                const GRIDS = ".ag-root, [role=grid], [role=treegrid]";
+                const grids = Array.from(doc.querySelectorAll(GRIDS)).filter(g => !g.parentElement || !g.parentElement.closest(GRIDS));
+                return grids.length ? grids : defaultTables(doc);
+            },
+            rows: (grid) => {
+                const byIndex = new Map();
+                for (const row of grid.querySelectorAll("[role=row][row-index]")) {
+                    const cells = Array.from(row.querySelectorAll("[role=gridcell]"));
+                    if (!cells.length) continue;
+                    const i = row.getAttribute("row-index");
+                    byIndex.set(i, (byIndex.get(i) || []).concat(cells));
+                }
+                return byIndex.size ? [...byIndex.values()] : defaultRows(grid);
+            },
+            accountLabel: headingAbove,
+            watchRoot: mainContent,
+        },
+        // Any other page: the same table heuristics, nothing broker specific.
+        generic: {
+            id: "generic",
+            label: "Generic page",
+            matches: () => true,
+            accountLabel: headingAbove,
+            watchRoot: (doc) => doc.body,
+        },
+    };
+
+    // The adapter for a page location (anything with hostname and pathname).
+    function pickAdapter(loc) {
+        return Object.values(ADAPTERS).find(a => a.matches(loc.hostname, loc.pathname));
+    }
+
+    return {
+        ADAPTERS, pickAdapter,
+        textOf, guessColumns, readTable, layoutKey, detectTables, scrapePage, headingAbove,
+    };
+});
@@ -1,35 +1,103 @@
 // ==UserScript==
 // @name         Merrill Portfolio Beta
 // @namespace    mailto:lixinjun@umich.edu
-// @version      0.2.0
+// @version      0.19.0
 // @description  Aggregates holdings from multiple tables (Equities, MFs, Accounts), sums Market Values, and estimates Beta.
 // @match        https://*.ml.com/TFPHoldings/*
+// @match        https://digital.fidelity.com/*
 // @grant        GM_xmlhttpRequest
 // @connect      stooq.com
 // @connect      query1.finance.yahoo.com
+// @require      https://raw.githubusercontent.com/xinjunUM/Merrill-Portfolio-Beta/e12e0cbe65512ba9c1e6aa51d44647a6689db549/beta-core.js#sha256=b8880f24833b5cbccdb27915a3d64602b94abd0226107e2d12adacea072afb32
+// @require      https://raw.githubusercontent.com/xinjunUM/Merrill-Portfolio-Beta/e12e0cbe65512ba9c1e6aa51d44647a6689db549/broker-adapters.js#sha256=ee19ca948b35e13e1d8bc337fc1b457cf4047f5d6c402bf1bf555fa9bd56c904
 // @run-at       document-end
 // ==/UserScript==
 
 (() => {
     "use strict";
 
+    // Estimation core (beta-core.js, loaded by @require); it never touches the page.
+    const {
+        DEFAULT_LOOKBACK_DAYS, DEFAULT_MARKET, FREQUENCIES, ESTIMATORS, ASSET_CLASSES,
+        createProviders, parsePriceCsv, todayISO, shiftDate, clipRows,
+        toReturns, resamplePrices, alignReturns, regress, checkSeries,
+        mean, portfolioReturns, riskMetrics, correlationMatrix,
+        parseBenchmarks, canonicalTicker, parseHoldingsCsv, aggregateRows, holdingsText, parseHoldingsText,
+        priceSymbol, estimateHolding, portfolioBeta, resultsCsv,
+    } = BetaCore;
+    // Broker page adapters (broker-adapters.js): finding and reading holdings tables.
+    const { pickAdapter, detectTables, readTable, scrapePage } = BrokerAdapters;
+
     // --- Configuration ---
-    const DEFAULT_LOOKBACK_DAYS = 252;
-    const DEFAULT_MARKET_STOOQ = "spy.us";
-    const DEFAULT_MARKET_YAHOO = "SPY";
-    const CACHE_PREFIX = "mb_beta_cache_v2_";
+    const CACHE_PREFIX = "mb_beta_cache_v3_";
+    const SETTINGS_KEY = "mb_settings_v1";
+    const OVERRIDES_KEY = "mb_overrides_v1";   // canonical ticker -> { beta, note, updatedAt }
+    const PROFILES_KEY = "mb_profiles_v1";     // name -> { holdings, totalMV, savedAt }
+    const HISTORY_KEY = "mb_history_v1";       // snapshots of completed runs, oldest first
+    const HISTORY_MAX = 240;
+    const COLUMN_MAPS_KEY = "mb_column_maps_v1"; // page layout -> corrected { sym, mv, w, desc, skip }
+    const RESCAN_DELAY_MS = 800;                 // quiet time after page changes before a rescan
+    // Inputs whose values are remembered between runs and page loads.
+    const SETTING_FIELDS = ["mb_source", "mb_market", "mb_lookback", "mb_start", "mb_end", "mb_freq", "mb_method", "mb_multifactor", "mb_watch"];
     const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
+    const PRICE_DB = "mb_prices";
+    const PRICE_STORE = "series";
+    const PRICE_REFRESH_MS = 12 * 60 * 60 * 1000;  // stored series younger than this are used offline
+    const PRICE_OVERLAP_DAYS = 10;                 // re-fetched calendar days used to detect re-adjusted history
+    const MAX_CONCURRENT_REQUESTS = 4;
+    const HOST_MIN_GAP_MS = { "query1.finance.yahoo.com": 300, "stooq.com": 800 }; // per-host spacing between request starts
+    const DEFAULT_HOST_GAP_MS = 250;
+    const MAX_RETRIES = 3;                         // retries on 429, 5xx and timeouts
+    const RETRY_BASE_MS = 1000;                    // doubled on every retry
+    const LOW_R2 = 0.3;                              // below this the beta is flagged as unreliable
+    const BETA_METHODS = {
+        regression: "Regression",
+        delta: "Delta-adjusted (options)",
+        default: "Class default",
+        manual: "Manual override",
+        missing: "No beta",
+    };
+    // Hedge instruments offered by the what-if calculator, besides the proxy and the holdings.
+    // Betas are nominal multiples of the S&P 500; futures are sized as multiplier × index level.
+    const HEDGE_INSTRUMENTS = {
+        SH: { label: "SH (−1× S&P 500)", ticker: "SH", beta: -1 },
+        SDS: { label: "SDS (−2× S&P 500)", ticker: "SDS", beta: -2 },
+        SPXU: { label: "SPXU (−3× S&P 500)", ticker: "SPXU", beta: -3 },
+        ES: { label: "ES future (50 × S&P 500)", beta: 1, multiplier: 50 },
+        MES: { label: "MES future (5 × S&P 500)", beta: 1, multiplier: 5 },
+    };
+    const INDEX_PER_SPY = 10;                        // S&P 500 level ≈ 10 × SPY, prefilled for futures
+    const ALL_ACCOUNTS = "";
 
-    // --- API URL Generators ---
-    const STOOQ_URL = (symbol) =>
-`https://stooq.com/q/d/l/?s=${encodeURIComponent(symbol)}&i=d`;
+    // --- Persistence ---
+    function loadJSON(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) { return fallback; }
+    }
+
+    function saveJSON(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) { console.warn("Could not save", key, e); }
+    }
+
+    function setOverride(ticker, beta, note) {
+        const overrides = loadJSON(OVERRIDES_KEY, {});
+        overrides[canonicalTicker(ticker)] = { beta, note: note || "", updatedAt: Date.now() };
+        saveJSON(OVERRIDES_KEY, overrides);
+    }
 
-    const YAHOO_URL = (symbol) =>
-`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=2y&interval=1d&events=history`;
+    function removeOverride(ticker) {
+        const overrides = loadJSON(OVERRIDES_KEY, {});
+        delete overrides[canonicalTicker(ticker)];
+        saveJSON(OVERRIDES_KEY, overrides);
+    }
 
     // --- Caching ---
-    function getCachedBeta(source, symbol, market, lookback) {
-        const key = `${CACHE_PREFIX}${source}_${symbol}_${market}_${lookback}`;
+    function getCachedBeta(source, symbol, market, lookback, estimator) {
+        const key = `${CACHE_PREFIX}${source}_${symbol}_${market}_${lookback}_${estimator}`;
         try {
             const raw = localStorage.getItem(key);
             if (!raw) return null;
@@ -42,114 +110,287 @@
         } catch (e) { return null; }
     }
 
-    function setCachedBeta(source, symbol, market, lookback, beta, n) {
-        const key = `${CACHE_PREFIX}${source}_${symbol}_${market}_${lookback}`;
+    function setCachedBeta(source, symbol, market, lookback, estimator, stats) {
+        const key = `${CACHE_PREFIX}${source}_${symbol}_${market}_${lookback}_${estimator}`;
         try {
-            localStorage.setItem(key, JSON.stringify({ beta, n, timestamp: Date.now() }));
+            localStorage.setItem(key, JSON.stringify({ ...stats, timestamp: Date.now() }));
         } catch (e) { console.warn("Cache full", e); }
     }
 
     // --- Network ---
     function gmFetch(url) {
-        return new Promise((resolve, reject) => {
-            GM_xmlhttpRequest({
+        return fetchQueue.request(url);
+    }
+
+    function cancelledError() {
+        return Object.assign(new Error("Cancelled"), { cancelled: true });
+    }
+
+    // One GM request with an abort handle. Errors carry `retryable` (429, 5xx, timeout) and,
+    // when the server sent Retry-After, the wait it asked for.
+    function gmRequest(url) {
+        let handle = null, fail = null;
+        const promise = new Promise((resolve, reject) => {
+            fail = reject;
+            handle = GM_xmlhttpRequest({
                 method: "GET", url, timeout: 20000,
-                onload: (res) => (res.status >= 200 && res.status < 300) ? resolve(res.responseText) : reject(new Error(`HTTP ${res.status}`)),
-                ontimeout: () => reject(new Error("Timeout")),
+                onload: (res) => {
+                    if (res.status >= 200 && res.status < 300) return resolve(res.responseText);
+                    const retryAfter = /retry-after:\s*(\d+)/i.exec(res.responseHeaders || "");
+                    reject(Object.assign(new Error(`HTTP ${res.status}`), {
+                        status: res.status,
+                        retryable: res.status === 429 || res.status >= 500,
+                        retryAfterMs: retryAfter ? Number(retryAfter[1]) * 1000 : 0,
+                    }));
+                },
+                ontimeout: () => reject(Object.assign(new Error("Timeout"), { retryable: true })),
                 onerror: () => reject(new Error("Network Error")),
+                onabort: () => reject(cancelledError()),
             });
         });
+        return {
+            promise,
+            abort: () => {
+                if (handle && handle.abort) handle.abort();
+                fail(cancelledError());
+            },
+        };
     }
 
-    // --- Data Fetching ---
-    async function fetchPricesStooq(symbol) {
-        const txt = await gmFetch(STOOQ_URL(symbol));
-        const lines = txt.trim().split(/\r?\n/);
-        if (lines.length < 3) throw new Error("No data");
-        const header = lines[0].split(",");
-        const dateIdx = header.findIndex(h => h.toLowerCase() === "date");
-        const closeIdx = header.findIndex(h => h.toLowerCase() === "close");
-        const rows = [];
-        for (let i = 1; i < lines.length; i++) {
-            const parts = lines[i].split(",");
-            if (parts[dateIdx] && !isNaN(parts[closeIdx])) rows.push({ date: parts[dateIdx], close: Number(parts[closeIdx]) });
+    // --- Request Queue ---
+    // All provider traffic goes through here: at most MAX_CONCURRENT_REQUESTS in flight, a
+    // minimum gap between starts on the same host, and exponential-backoff retries. A retry
+    // waits in the queue (notBefore) rather than in a timer, so cancelAll() drops it too.
+    const fetchQueue = (() => {
+        const pending = [];
+        const inFlight = new Set();
+        const lastStart = new Map();
+        let timer = null;
+
+        function request(url) {
+            return new Promise((resolve, reject) => {
+                pending.push({ url, host: new URL(url).host, attempt: 0, notBefore: 0, resolve, reject });
+                pump();
+            });
         }
-        return rows.sort((a, b) => (a.date < b.date ? -1 : 1));
-    }
-
-    async function fetchPricesYahoo(symbol) {
-        const jsonTxt = await gmFetch(YAHOO_URL(symbol));
-        const data = JSON.parse(jsonTxt);
-        const result = data.chart?.result?.[0];
-        if (!result?.timestamp || !result?.indicators?.quote?.[0]) throw new Error("Invalid Yahoo JSON");
-        const timestamps = result.timestamp;
-        const adjClose = result.indicators.adjclose?.[0]?.adjclose || result.indicators.quote[0].close;
-        const rows = [];
-        for (let i = 0; i < timestamps.length; i++) {
-            if (timestamps[i] && Number.isFinite(adjClose[i])) {
-                rows.push({ date: new Date(timestamps[i] * 1000).toISOString().split("T")[0], close: adjClose[i] });
+
+        function pump() {
+            clearTimeout(timer);
+            timer = null;
+            let wait = Infinity;
+            for (let i = 0; i < pending.length && inFlight.size < MAX_CONCURRENT_REQUESTS;) {
+                const task = pending[i];
+                const gap = HOST_MIN_GAP_MS[task.host] ?? DEFAULT_HOST_GAP_MS;
+                const readyAt = Math.max((lastStart.get(task.host) || 0) + gap, task.notBefore);
+                if (readyAt > Date.now()) {
+                    wait = Math.min(wait, readyAt - Date.now());
+                    i++;
+                    continue;
+                }
+                pending.splice(i, 1);
+                start(task);
             }
+            if (pending.length && wait < Infinity) timer = setTimeout(pump, wait);
         }
-        return rows;
+
+        function start(task) {
+            lastStart.set(task.host, Date.now());
+            const req = gmRequest(task.url);
+            inFlight.add(req);
+            req.promise.then(task.resolve, (err) => {
+                if (err.retryable && task.attempt < MAX_RETRIES) {
+                    const backoff = err.retryAfterMs || RETRY_BASE_MS * 2 ** task.attempt;
+                    task.attempt++;
+                    task.notBefore = Date.now() + backoff * (0.75 + Math.random() * 0.5);
+                    pending.unshift(task);
+                } else {
+                    task.reject(err);
+                }
+            }).finally(() => {
+                inFlight.delete(req);
+                pump();
+            });
+        }
+
+        function cancelAll() {
+            pending.splice(0).forEach(task => task.reject(cancelledError()));
+            inFlight.forEach(req => req.abort());
+        }
+
+        return { request, cancelAll };
+    })();
+
+    // --- Data Fetching ---
+    // Local price files have no URL: they are read back from the price store, where
+    // importLocalPrices() put them.
+    async function fetchPricesLocal(symbol) {
+        const stored = await readSeries(`local_${symbol}`);
+        if (!stored || !stored.rows.length) throw new Error("No local file");
+        return stored.rows;
+    }
+
+    // --- Data Providers ---
+    // A provider maps a canonical ticker to its own symbol and fetches ascending daily
+    // closes. `local` providers never go to the network, so the store is their only source.
+    const PROVIDERS = {
+        local: { label: "Local file", local: true, symbol: (t) => t, fetch: fetchPricesLocal },
+        ...createProviders(gmFetch),
+    };
+
+    // Priority order for a run: local files always win (they are explicit user input), then
+    // the selected source, then every other public feed as a fallback.
+    function providerOrder(primary) {
+        const feeds = Object.keys(PROVIDERS).filter(id => !PROVIDERS[id].local && id !== primary);
+        return ["local", primary, ...feeds];
     }
 
-    // --- Math ---
-    function toReturns(rows) {
-        const rets = [];
-        for (let i = 1; i < rows.length; i++) {
-            const p0 = rows[i - 1].close, p1 = rows[i].close;
-            if (p0 > 0 && p1 > 0) rets.push({ date: rows[i].date, r: p1 / p0 - 1 });
+    function fetchPrices(source, symbol, since) {
+        return PROVIDERS[source].fetch(symbol, since);
+    }
+
+    // --- Price Store (IndexedDB) ---
+    // One record per source+symbol: { key, source, symbol, rows: [{ date, close }], updatedAt }.
+    // Every store call degrades to "nothing stored" when IndexedDB is unavailable.
+    let priceDbPromise = null;
+    function openPriceDb() {
+        if (!priceDbPromise) {
+            priceDbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+                const req = indexedDB.open(PRICE_DB, 1);
+                req.onupgradeneeded = () => req.result.createObjectStore(PRICE_STORE, { keyPath: "key" });
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
         }
-        return rets;
+        return priceDbPromise;
     }
 
-    function alignReturns(asset, mkt) {
-        const mktMap = new Map(mkt.map(x => [x.date, x.r]));
-        const xs = [], ys = [];
-        for (const a of asset) {
-            const m = mktMap.get(a.date);
-            if (m !== undefined) { xs.push(a.r); ys.push(m); }
+    async function withPriceStore(mode, fn) {
+        const db = await openPriceDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(PRICE_STORE, mode);
+            const req = fn(tx.objectStore(PRICE_STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    const readSeries = (key) => withPriceStore("readonly", s => s.get(key)).catch(() => null);
+    const listSeries = () => withPriceStore("readonly", s => s.getAll()).catch(() => []);
+    const deleteSeries = (key) => withPriceStore("readwrite", s => s.delete(key));
+    const clearSeries = () => withPriceStore("readwrite", s => s.clear());
+    function writeSeries(record) {
+        return withPriceStore("readwrite", s => s.put(record)).catch(e => console.warn("Price store write failed", e));
+    }
+
+    // Appends freshly fetched rows to a stored series. Returns null when the overlapping days
+    // disagree: the provider re-adjusted its history (dividend/split) and needs a full refetch.
+    function mergeSeries(stored, fresh) {
+        const freshByDate = new Map(fresh.map(r => [r.date, r.close]));
+        for (const r of stored) {
+            const c = freshByDate.get(r.date);
+            if (c !== undefined && Math.abs(c / r.close - 1) > 1e-3) return null;
         }
-        return { asset: xs, mkt: ys };
-    }
-
-    function calculateBeta(asset, mkt) {
-        const n = asset.length;
-        if (n < 20) return NaN;
-        const meanA = asset.reduce((a, b) => a + b, 0) / n;
-        const meanM = mkt.reduce((a, b) => a + b, 0) / n;
-        let cov = 0, varM = 0;
-        for (let i = 0; i < n; i++) {
-            cov += (asset[i] - meanA) * (mkt[i] - meanM);
-            varM += (mkt[i] - meanM) * (mkt[i] - meanM);
+        const last = stored.length ? stored[stored.length - 1].date : "";
+        return stored.concat(fresh.filter(r => r.date > last));
+    }
+
+    // Stored series first; the network is only asked for the days since the last stored
+    // date. If that fails, stale stored prices are still better than none.
+    // `from` asks for history back to that date. A stored series that was fetched from a
+    // later date is downloaded again in full; `coveredFrom` remembers what was asked for, so
+    // a ticker that simply listed later isn't fetched again on every run.
+    async function loadPrices(source, symbol, from) {
+        if (PROVIDERS[source].local) return fetchPrices(source, symbol);
+        const key = `${source}_${symbol}`;
+        const stored = await readSeries(key);
+        const covered = stored && stored.rows.length && (!from || (stored.coveredFrom || stored.rows[0].date) <= from);
+        if (covered && Date.now() - stored.updatedAt < PRICE_REFRESH_MS) return stored.rows;
+
+        let rows = null;
+        let refetched = false;
+        try {
+            if (covered) {
+                const since = shiftDate(stored.rows[stored.rows.length - 1].date, -PRICE_OVERLAP_DAYS);
+                rows = mergeSeries(stored.rows, await fetchPrices(source, symbol, since));
+            }
+            if (!rows) {
+                rows = await fetchPrices(source, symbol, from);
+                refetched = true;
+            }
+        } catch (e) {
+            if (stored) return stored.rows;
+            throw e;
         }
-        return varM === 0 ? NaN : cov / varM;
+        // A full download only covers what it asked for, even when it replaced a series that
+        // reached further back (re-adjusted history is fetched again from `from` only).
+        const coveredFrom = refetched ? from || (rows.length ? rows[0].date : "") : stored.coveredFrom || stored.rows[0].date;
+        await writeSeries({ key, source, symbol, rows, coveredFrom, updatedAt: Date.now() });
+        return rows;
     }
 
-    function normalizeTicker(raw, source) {
-        let t = (raw || "").trim().toUpperCase();
-        if (!t) return "";
-        if (source === "stooq") {
-            if (/\.[a-z]{2,}$/i.test(t)) return t.toLowerCase();
-            t = t.replace(/\s+/g, "");
-            return t.includes(".") ? t.toLowerCase() : `${t.toLowerCase()}.us`;
-        } else {
-            return t.replace(/\./g, "-");
+    // Closes already loaded during this page session, so the risk report and later runs do
+    // not even go back to IndexedDB.
+    // Holds promises so concurrent holdings asking for the same benchmark share one download;
+    // failed loads are dropped so a retry goes back to the network. A request reaching further
+    // back than the memoized load starts a new one. A load without `from` (the feed's default
+    // range) has unknown coverage, so it only serves other requests without `from`. Entries
+    // expire after PRICE_REFRESH_MS like stored series, for pages left open (or watched).
+    const priceMemo = new Map();       // key -> { from, loadedAt, loading }
+    function getPrices(source, symbol, from) {
+        const key = `${source}_${symbol}`;
+        const memo = priceMemo.get(key);
+        if (!memo || Date.now() - memo.loadedAt >= PRICE_REFRESH_MS || (from && (!memo.from || from < memo.from))) {
+            const loading = loadPrices(source, symbol, from);
+            priceMemo.set(key, { from: from || "", loadedAt: Date.now(), loading });
+            loading.catch(() => { if (priceMemo.get(key) && priceMemo.get(key).loading === loading) priceMemo.delete(key); });
         }
+        return priceMemo.get(key).loading;
     }
 
-    function safeNum(x) {
-        const n = Number(String(x).replace(/[$,%]/g, "").trim());
-        return Number.isFinite(n) ? n : NaN;
+    // Tries each provider in order and returns the first usable series, recording which
+    // provider served it. Throws with every provider's reason when all of them fail.
+    async function getSeries(ticker, order, from) {
+        const errors = [];
+        for (const id of order) {
+            try {
+                const rows = await getPrices(id, PROVIDERS[id].symbol(ticker), from);
+                if (rows.length < 2) throw new Error("No data");
+                return { rows, provider: id, adjusted: Boolean(PROVIDERS[id].adjusted) };
+            } catch (e) {
+                if (e.cancelled) throw e;
+                if (!PROVIDERS[id].local) errors.push(`${PROVIDERS[id].label}: ${e.message}`);
+            }
+        }
+        throw new Error(errors.join("; ") || "No provider");
+    }
+
+    // The core engine, wired to the price store, the beta cache and the progress bar.
+    function computeBetas(symbols, ctx) {
+        return BetaCore.computeBetas(symbols, ctx, {
+            getSeries,
+            cache: { get: getCachedBeta, set: setCachedBeta },
+            onProgress: showProgress,
+        });
     }
 
-    function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+    function estimateResult(h, betaBySym, ctx) {
+        return estimateHolding(h, betaBySym, ctx, getSeries);
+    }
+
+    // Quick as-of dates: the last month-, quarter- or year-end before today.
+    function periodEnd(kind) {
+        const now = new Date();
+        const y = now.getUTCFullYear(), m = now.getUTCMonth();
+        const month = kind === "year" ? 0 : kind === "quarter" ? m - (m % 3) : m;
+        return new Date(Date.UTC(y, month, 0)).toISOString().split("T")[0];
+    }
 
     // --- UI ---
     const panel = document.createElement("div");
     // UPDATED: Use Flexbox (display: flex) and hidden overflow on the container
     panel.style.cssText = `
-position: fixed; right: 20px; bottom: 20px; width: 460px;
+position: fixed; right: 20px; bottom: 20px; width: 560px;
 max-height: 80vh; z-index: 999999;
 background: #ffffff; color: #111111; border: 1px solid #cfcfcf;
 border-radius: 10px; box-shadow: 0 8px 24px rgba(0,0,0,0.18);
@@ -169,33 +410,88 @@ resize: both; /* Enables the resize handle in bottom-right corner */
 
   <div style="display:grid; grid-template-columns: 1fr 1fr 1fr; gap:8px; grid-auto-rows: min-content;">
     <label style="display:grid; gap:4px;">
-       <div style="opacity:.8; font-size:11px;">Source</div>
+       <div style="opacity:.8; font-size:11px;" title="Primary feed. Local files are used first when present; other feeds are tried when it fails.">Source</div>
        <select id="mb_source" style="padding:5px; border-radius:6px; border:1px solid #ccc;">
          <option value="yahoo">Yahoo</option>
          <option value="stooq">Stooq</option>
        </select>
     </label>
     <label style="display:grid; gap:4px;">
-      <div style="opacity:.8; font-size:11px;">Proxy</div>
-      <input id="mb_market" value="${DEFAULT_MARKET_YAHOO}" style="padding:6px 8px; border-radius:6px; border:1px solid #ccc;">
+      <div style="opacity:.8; font-size:11px;" title="Several benchmarks, comma separated (e.g. SPY, QQQ, AGG). The first is primary.">Proxy / benchmarks</div>
+      <input id="mb_market" value="${DEFAULT_MARKET}" style="padding:6px 8px; border-radius:6px; border:1px solid #ccc;">
     </label>
     <label style="display:grid; gap:4px;">
-      <div style="opacity:.8; font-size:11px;">Lookback</div>
+      <div style="opacity:.8; font-size:11px;" title="Trading days ending at the end date; ignored when a start date is set">Lookback</div>
       <input id="mb_lookback" value="${DEFAULT_LOOKBACK_DAYS}" style="padding:6px 8px; border-radius:6px; border:1px solid #ccc;">
     </label>
+    <label style="display:grid; gap:4px;">
+       <div style="opacity:.8; font-size:11px;">Frequency</div>
+       <select id="mb_freq" style="padding:5px; border-radius:6px; border:1px solid #ccc;">
+         ${Object.keys(FREQUENCIES).map(f => `<option value="${f}">${f[0].toUpperCase()}${f.slice(1)}</option>`).join("")}
+       </select>
+    </label>
+    <label style="display:grid; gap:4px;">
+       <div style="opacity:.8; font-size:11px;">Estimator</div>
+       <select id="mb_method" style="padding:5px; border-radius:6px; border:1px solid #ccc;">
+         ${Object.entries(ESTIMATORS).map(([k, label]) => `<option value="${k}">${label}</option>`).join("")}
+       </select>
+    </label>
+    <label style="display:flex; gap:6px; align-items:end; font-size:11px;" title="Regress each holding on all benchmarks at once (plain OLS)">
+       <input type="checkbox" id="mb_multifactor"> Multi-factor regression
+    </label>
+    <label style="display:grid; gap:4px;">
+      <div style="opacity:.8; font-size:11px;" title="Optional. With a start date the window is start–end instead of the lookback.">Start</div>
+      <input id="mb_start" type="date" style="padding:5px; border-radius:6px; border:1px solid #ccc;">
+    </label>
+    <label style="display:grid; gap:4px;">
+      <div style="opacity:.8; font-size:11px;" title="Optional. Beta as of this date; empty means the latest close.">End / as of</div>
+      <input id="mb_end" type="date" style="padding:5px; border-radius:6px; border:1px solid #ccc;">
+    </label>
+    <label style="display:grid; gap:4px;">
+       <div style="opacity:.8; font-size:11px;">As of</div>
+       <select id="mb_asof" style="padding:5px; border-radius:6px; border:1px solid #ccc;">
+         <option value="">—</option>
+         <option value="today">Latest close</option>
+         <option value="month">Last month-end</option>
+         <option value="quarter">Last quarter-end</option>
+         <option value="year">Last year-end</option>
+       </select>
+    </label>
   </div>
 
   <div>
-    <div style="opacity:.8; margin-bottom:6px; font-size:11px;">Holdings (TICKER, WEIGHT)</div>
-    <textarea id="mb_holdings" rows="6" style="width:100%; padding:8px; border-radius:6px; border:1px solid #ccc; font-family:monospace;" placeholder="AAPL, 25%&#10;MSFT, 0.25"></textarea>
+    <div style="opacity:.8; margin-bottom:6px; font-size:11px;">Holdings (TICKER, WEIGHT[, ACCOUNT[, CLASS]])</div>
+    <textarea id="mb_holdings" rows="6" style="width:100%; padding:8px; border-radius:6px; border:1px solid #ccc; font-family:monospace;" placeholder="AAPL, 25%, Roth IRA&#10;MSFT, 0.25"></textarea>
+    <div style="display:flex; gap:6px; align-items:center; margin-top:6px; font-size:11px;">
+      <span style="opacity:.8;">Profile</span>
+      <select id="mb_profile" style="flex:1; padding:4px; border-radius:6px; border:1px solid #ccc;"></select>
+      <button id="mb_profile_save" style="cursor:pointer; background:#fff; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">Save as…</button>
+      <button id="mb_profile_del" style="cursor:pointer; background:#fff; color:#a00; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">Delete</button>
+    </div>
   </div>
 
   <div>
     <button id="mb_scrape" style="cursor:pointer; background:#eef; color:#333; border:1px solid #ccd; border-radius:6px; padding:6px 12px;flex: 1;white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">Auto-scrape & Aggregate</button>
+    <button id="mb_columns" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:6px 12px;" title="Preview the detected tables and correct which columns are read">Columns…</button>
+    <label style="font-size:11px; white-space:nowrap;" title="Scan again whenever the page loads more holdings or switches account"><input type="checkbox" id="mb_watch"> Watch page</label>
     <button id="mb_calc" style="cursor:pointer; background:#0055a5; color:#fff; border:none; border-radius:6px; padding:6px 12px; font-weight:600;">Calculate</button>
     <button id="mb_clear" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:6px 12px;">Clear</button>
+    <button id="mb_history" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:6px 12px;">History</button>
+    <button id="mb_cache" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:6px 12px;">Cache</button>
+    <button id="mb_localbtn" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:6px 12px;" title="Price CSVs for symbols no public feed covers">Load CSV prices</button>
+    <input type="file" id="mb_localfile" accept=".csv,text/csv" multiple style="display:none;">
+    <button id="mb_importbtn" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:6px 12px;" title="Merrill holdings download (CSV) or a run exported as JSON">Import…</button>
+    <input type="file" id="mb_importfile" accept=".csv,.json,text/csv,application/json" style="display:none;">
   </div>
 
+  <div id="mb_runbar" style="display:none; gap:8px; align-items:center;">
+    <div id="mb_progress" style="flex:1; height:6px; background:#eee; border-radius:3px; overflow:hidden;"><div style="height:100%; width:0; background:#0055a5; transition:width .2s;"></div></div>
+    <button id="mb_cancel" style="cursor:pointer; background:#fff; color:#a00; border:1px solid #ccc; border-radius:6px; padding:3px 10px;">Cancel</button>
+  </div>
+  <button id="mb_retry" style="display:none; justify-self:start; cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:4px 10px;">Retry failed only</button>
+  <div id="mb_historywrap" style="display:none;"></div>
+  <div id="mb_cachewrap" style="display:none;"></div>
+  <div id="mb_columnswrap" style="display:none;"></div>
   <div id="mb_status" style="white-space:pre-wrap; font-family:monospace; font-size:11px; color:#444; min-height:1.2em;"></div>
   <div id="mb_tablewrap"></div>
 </div>
@@ -203,17 +499,515 @@ resize: both; /* Enables the resize handle in bottom-right corner */
     document.documentElement.appendChild(panel);
 
     const $ = (id) => panel.querySelector(id);
+
+    // --- Results State ---
+    let lastResults = [];          // one entry per account holding, weights sum to 1 across the household
+    let currentView = ALL_ACCOUNTS;
+    let scrapedTotalMV = 0;        // household market value from the last scrape (0 when typed by hand)
+    let holdingsFromScrape = false; // page watching only rewrites holdings a scrape put there
+    let lastRun = null;            // settings of the last Calculate, reused by the risk report
+    let lastRisk = null;           // { view, n, coveredW, metrics } of the last risk report, for export
+
     $("#mb_close").addEventListener("click", () => panel.remove());
     $("#mb_clear").addEventListener("click", () => {
         $("#mb_holdings").value = "";
+        holdingsFromScrape = false;
+        lastResults = [];
+        currentView = ALL_ACCOUNTS;
+        scrapedTotalMV = 0;
+        lastRun = null;
+        lastRisk = null;
+        $("#mb_retry").style.display = "none";
         $("#mb_status").textContent = "";
         $("#mb_tablewrap").innerHTML = "";
     });
 
-    $("#mb_source").addEventListener("change", (e) => {
-        $("#mb_market").value = (e.target.value === "stooq") ? DEFAULT_MARKET_STOOQ : DEFAULT_MARKET_YAHOO;
+    // --- Settings ---
+    const savedSettings = loadJSON(SETTINGS_KEY, {});
+    for (const id of SETTING_FIELDS) {
+        const el = $(`#${id}`);
+        if (savedSettings[id] !== undefined) el[el.type === "checkbox" ? "checked" : "value"] = savedSettings[id];
+        el.addEventListener("change", () => {
+            const settings = loadJSON(SETTINGS_KEY, {});
+            settings[id] = el.type === "checkbox" ? el.checked : el.value;
+            saveJSON(SETTINGS_KEY, settings);
+        });
+    }
+
+    $("#mb_asof").addEventListener("change", (e) => {
+        const kind = e.target.value;
+        if (!kind) return;
+        $("#mb_end").value = kind === "today" ? "" : periodEnd(kind);
+        $("#mb_end").dispatchEvent(new Event("change"));
+        e.target.value = "";
+    });
+
+    // --- Profiles ---
+    // Named holdings lists (the textarea plus the scraped household value) to switch between
+    // without scraping again.
+    function renderProfileOptions(selected) {
+        const names = Object.keys(loadJSON(PROFILES_KEY, {})).sort();
+        $("#mb_profile").innerHTML = `<option value="">${names.length ? "— choose —" : "— none saved —"}</option>`
+            + names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join("");
+        $("#mb_profile").value = names.includes(selected) ? selected : "";
+    }
+    renderProfileOptions();
+
+    $("#mb_profile").addEventListener("change", (e) => {
+        const profile = loadJSON(PROFILES_KEY, {})[e.target.value];
+        if (!profile) return;
+        $("#mb_holdings").value = profile.holdings;
+        holdingsFromScrape = false;
+        scrapedTotalMV = profile.totalMV || 0;
+        $("#mb_status").textContent = `Loaded profile "${e.target.value}" (saved ${new Date(profile.savedAt).toLocaleDateString()}).`;
+    });
+
+    $("#mb_profile_save").addEventListener("click", () => {
+        const name = (prompt("Save holdings as profile:", $("#mb_profile").value || "") || "").trim();
+        if (!name) return;
+        const profiles = loadJSON(PROFILES_KEY, {});
+        profiles[name] = { holdings: $("#mb_holdings").value, totalMV: scrapedTotalMV, savedAt: Date.now() };
+        saveJSON(PROFILES_KEY, profiles);
+        renderProfileOptions(name);
+        $("#mb_status").textContent = `Saved profile "${name}".`;
+    });
+
+    $("#mb_profile_del").addEventListener("click", () => {
+        const name = $("#mb_profile").value;
+        if (!name || !confirm(`Delete profile "${name}"?`)) return;
+        const profiles = loadJSON(PROFILES_KEY, {});
+        delete profiles[name];
+        saveJSON(PROFILES_KEY, profiles);
+        renderProfileOptions();
+    });
+
+    // --- Local Price Files ---
+    // Each CSV is stored under the local provider; the file name is the ticker unless the
+    // file has its own Symbol/Ticker/CUSIP column.
+    $("#mb_localbtn").addEventListener("click", () => $("#mb_localfile").click());
+    $("#mb_localfile").addEventListener("change", async (e) => {
+        const loaded = [];
+        try {
+            for (const file of Array.from(e.target.files)) {
+                const series = parsePriceCsv(await file.text(), file.name.replace(/\.[^.]*$/, ""));
+                for (const [symbol, rows] of series) {
+                    await writeSeries({ key: `local_${symbol}`, source: "local", symbol, rows, updatedAt: Date.now() });
+                    priceMemo.delete(`local_${symbol}`);
+                    loaded.push(`${symbol} (${rows.length})`);
+                }
+            }
+            $("#mb_status").textContent = loaded.length ? `Loaded local prices: ${loaded.join(", ")}` : "No prices found in file.";
+        } catch (err) { $("#mb_status").textContent = `Error: ${err.message}`; }
+        e.target.value = "";
+        if ($("#mb_cachewrap").style.display !== "none") renderCacheView();
+    });
+
+    // --- Import / Export ---
+    // Everything needed to show the run again, or to redo it with the same settings.
+    function runExport() {
+        const { startedAt, source, benchmarks, multiFactor, lookback, range, freq, method, holdings } = lastRun;
+        return {
+            format: "merrill-portfolio-beta",
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            runAt: new Date(startedAt).toISOString(),
+            settings: { source, benchmarks, multiFactor, lookback, range, freq, method },
+            window: lastRun.window,
+            totalMV: scrapedTotalMV,
+            holdings,
+            results: lastResults,
+            portfolioBeta: portfolioBeta(lastResults),
+            risk: lastRisk,
+        };
+    }
+
+    // The current view as a Markdown or tab-separated table, for pasting into email.
+    function viewTableText(kind) {
+        const rows = viewRows(lastResults, currentView).sort((a, b) => b.weight - a.weight);
+        const f = (x, d) => isNaN(x) ? "—" : x.toFixed(d);
+        const body = rows.map(r => {
+            const b = betaOf(r.ticker);
+            return [r.ticker, `${(r.weight * 100).toFixed(1)}%`, f(b, 2), f(r.r2, 2), f(r.weight * b, 3)];
+        });
+        const head = ["Ticker", "Weight", "Beta", "R²", "w×β"];
+        const foot = [currentView === ALL_ACCOUNTS ? "Portfolio" : currentView, "100%", "", "",
+            rows.reduce((s, r) => isNaN(betaOf(r.ticker)) ? s : s + r.weight * betaOf(r.ticker), 0).toFixed(3)];
+        if (kind === "tsv") return [head, ...body, foot].map(r => r.join("\t")).join("\n");
+        const line = (cells) => `| ${cells.join(" | ")} |`;
+        return [line(head), `|${head.map((h, i) => (i ? " ---: " : " --- ")).join("|")}|`, ...body.map(line), line(foot.map((c, i) => (i === 0 || i === 4 ? `**${c}**` : c)))].join("\n");
+    }
+
+    function downloadFile(name, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // The async clipboard API needs focus and permissions the page may not grant; the
+    // hidden-textarea copy works in more places.
+    async function copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (e) {
+            const ta = document.createElement("textarea");
+            ta.value = text;
+            ta.style.cssText = "position:fixed; opacity:0;";
+            document.body.appendChild(ta);
+            ta.select();
+            const ok = document.execCommand("copy");
+            ta.remove();
+            if (!ok) throw new Error("Clipboard not available");
+        }
+    }
+
+    async function exportResults(kind) {
+        const stamp = todayISO();
+        try {
+            if (kind === "csv") downloadFile(`portfolio-beta-${stamp}.csv`, resultsCsv(lastResults, {
+                benchmarks: lastRun.benchmarks, window: lastRun.window, totalMV: scrapedTotalMV, risk: lastRisk, multiFactor: lastRun.multiFactor,
+            }), "text/csv");
+            else if (kind === "json") downloadFile(`portfolio-beta-${stamp}.json`, JSON.stringify(runExport(), null, 2), "application/json");
+            else {
+                await copyText(viewTableText(kind));
+                $("#mb_status").textContent = `Copied the ${kind === "md" ? "Markdown" : "TSV"} table.`;
+            }
+        } catch (e) { $("#mb_status").textContent = `Export failed: ${e.message}`; }
+    }
+
+    // JSON turns NaN into null; the renderers expect NaN for "no value".
+    function reviveNaN(v) {
+        if (v === null) return NaN;
+        if (Array.isArray(v)) return v.map(reviveNaN);
+        if (typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, reviveNaN(x)]));
+        return v;
+    }
+
+    // Restores the settings, holdings and results of an exported run without fetching.
+    // Exported runs are shared between colleagues, so a file is checked in full before any
+    // state changes. Strings from it only ever reach the page through escapeHtml().
+    function checkImportedRun(data) {
+        if (!data || data.format !== "merrill-portfolio-beta" || !Array.isArray(data.results)) throw new Error("Not an exported run.");
+        const fail = (what) => { throw new Error(`Not a valid exported run: bad ${what}.`); };
+        const isStr = (x) => typeof x === "string";
+        const isNum = (x) => typeof x === "number" || x === null;   // NaN is exported as null
+        const optional = (x, test) => x === undefined || x === null || test(x);
+        const isDate = (x) => isStr(x) && /^\d{4}-\d{2}-\d{2}$/.test(x) && !isNaN(Date.parse(x));
+        if (!isStr(data.runAt) || isNaN(Date.parse(data.runAt))) fail("run date");
+        if (!data.window || !isDate(data.window.start) || !isDate(data.window.end) || data.window.start > data.window.end) fail("window");
+        if (typeof data.totalMV !== "number" || !(data.totalMV >= 0)) fail("total market value");
+        const s = data.settings;
+        if (!s || !PROVIDERS[s.source] || PROVIDERS[s.source].local) fail("source");
+        if (!Array.isArray(s.benchmarks) || !s.benchmarks.length || !s.benchmarks.every(isStr)) fail("benchmarks");
+        if (!FREQUENCIES[s.freq]) fail("frequency");
+        if (!ESTIMATORS[s.method]) fail("estimator");
+        if (!Number.isInteger(s.lookback) || s.lookback < 1) fail("lookback");
+        if (!optional(s.multiFactor, x => typeof x === "boolean")) fail("multi-factor setting");
+        if (!optional(s.range, r => [r.start, r.end].every(d => d === "" || isDate(d)))) fail("date range");
+        const position = (p, what) => {
+            if (!p || !isStr(p.ticker) || !isStr(p.account) || typeof p.weight !== "number") fail(what);
+            if (!ASSET_CLASSES[p.assetClass]) fail(`asset class "${p.assetClass}"`);
+        };
+        if (!Array.isArray(data.holdings)) fail("holdings");
+        data.holdings.forEach(h => position(h, "holding"));
+        for (const r of data.results) {
+            position(r, "result");
+            if (!BETA_METHODS[r.method]) fail(`method "${r.method}"`);
+            for (const k of ["beta", "estimatedBeta", "alpha", "r2", "se", "ciLo", "ciHi", "n", "delta", "elasticity", "underlyingBeta"]) {
+                if (!optional(r[k], isNum)) fail(k);
+            }
+            for (const k of ["sym", "provider", "error", "first", "last"]) if (!optional(r[k], isStr)) fail(k);
+            if (r.method === "delta" && !r.error && !["delta", "elasticity", "underlyingBeta"].every(k => typeof r[k] === "number")) fail("option greeks");
+            if (!optional(r.benchBetas, b => typeof b === "object" && Object.values(b).every(isNum))) fail("benchmark betas");
+            if (!optional(r.quality, q => Array.isArray(q) && q.every(x => x && isStr(x.text)))) fail("data-quality notes");
+            if (!optional(r.override, o => isNum(o.beta) && optional(o.note, isStr))) fail("override");
+            if (!optional(r.factors, f => ["loadings", "se"].every(k => Array.isArray(f[k]) && f[k].every(isNum)) && isNum(f.r2))) fail("factor loadings");
+        }
+    }
+
+    function importRun(data) {
+        checkImportedRun(data);
+        const { source, benchmarks, lookback, freq, method } = data.settings;
+        const multiFactor = Boolean(data.settings.multiFactor);
+        const range = data.settings.range || { start: "", end: "" };
+        const fields = {
+            mb_source: source, mb_market: benchmarks.join(", "), mb_lookback: lookback, mb_start: range.start, mb_end: range.end,
+            mb_freq: freq, mb_method: method, mb_multifactor: multiFactor,
+        };
+        for (const [id, v] of Object.entries(fields)) {
+            const el = $(`#${id}`);
+            el[el.type === "checkbox" ? "checked" : "value"] = v;
+            el.dispatchEvent(new Event("change"));
+        }
+        scrapedTotalMV = data.totalMV;
+        $("#mb_holdings").value = holdingsText(data.holdings);
+        holdingsFromScrape = false;
+        lastResults = data.results.map(reviveNaN);
+        lastRun = {
+            startedAt: Date.parse(data.runAt), source, order: providerOrder(source), benchmarks, marketSym: benchmarks[0],
+            multiFactor, lookback, range, window: data.window, freq, method, estimator: `${freq}-${method}`, holdings: data.holdings,
+        };
+        lastRisk = data.risk ? reviveNaN(data.risk) : null;
+        currentView = ALL_ACCOUNTS;
+        renderResults();
+        return `Loaded run from ${new Date(data.runAt).toLocaleString()} (${lastResults.length} holdings). Calculate re-runs it with current prices.`;
+    }
+
+    $("#mb_importbtn").addEventListener("click", () => $("#mb_importfile").click());
+    $("#mb_importfile").addEventListener("change", async (e) => {
+        const file = e.target.files[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+            const text = await file.text();
+            if (/^\s*\{/.test(text)) {
+                $("#mb_status").textContent = importRun(JSON.parse(text));
+                return;
+            }
+            const result = parseHoldingsCsv(text);
+            if (!result.holdings.length) throw new Error("No holdings with a Symbol and a Value column found.");
+            scrapedTotalMV = result.totalMV;
+            $("#mb_holdings").value = holdingsText(result.holdings);
+            holdingsFromScrape = false;
+            $("#mb_status").textContent = `Imported ${result.rowCount} rows from ${file.name} into ${result.holdings.length} holdings in ${result.accountCount} accounts.`
+                + (result.totalMV ? `\nTotal Value Detected: ${fmtMV(result.totalMV)}` : "");
+        } catch (err) { $("#mb_status").textContent = `Import failed: ${err.message}`; }
     });
 
+    // --- History ---
+    // Every completed run is stored as a dated snapshot. A retry of the same run replaces
+    // its snapshot instead of adding a new one. A run where no holding got a beta (only fixed
+    // class betas, or none at all) is not recorded: its portfolio beta would read as 0.
+    function recordSnapshot() {
+        if (!lastResults.some(r => !isNaN(r.beta) && (r.override || r.method !== "default"))) return;
+        const { startedAt, source, benchmarks, multiFactor, lookback, range, freq, method } = lastRun;
+        const snap = {
+            id: startedAt,
+            date: new Date(startedAt).toISOString(),
+            profile: $("#mb_profile").value,
+            settings: { source, benchmarks, multiFactor, lookback, range, window: lastRun.window, freq, method },
+            total: portfolioBeta(lastResults),
+            totalMV: scrapedTotalMV,
+            holdings: lastResults.map(r => ({
+                ticker: r.ticker, account: r.account, assetClass: r.assetClass,
+                weight: r.weight, beta: isNaN(r.beta) ? null : r.beta, method: r.override ? "manual" : r.method,
+            })),
+        };
+        const history = loadJSON(HISTORY_KEY, []).filter(h => h.id !== snap.id);
+        history.push(snap);
+        saveJSON(HISTORY_KEY, history.slice(-HISTORY_MAX));
+        if ($("#mb_historywrap").style.display !== "none") renderHistoryView();
+    }
+
+    $("#mb_history").addEventListener("click", () => {
+        const wrap = $("#mb_historywrap");
+        const open = wrap.style.display === "none";
+        wrap.style.display = open ? "" : "none";
+        if (open) renderHistoryView();
+    });
+
+    // Inline SVG line chart of portfolio beta per snapshot, with a dashed line at β = 1.
+    function betaTrendSvg(snaps) {
+        const W = 520, H = 150, padL = 34, padR = 8, padT = 8, padB = 20;
+        const betas = snaps.map(s => s.total);
+        const lo = Math.min(0, ...betas), hi = Math.max(1.2, ...betas);
+        const t0 = Date.parse(snaps[0].date), t1 = Date.parse(snaps[snaps.length - 1].date);
+        const x = (s) => padL + (t1 > t0 ? (Date.parse(s.date) - t0) / (t1 - t0) : 0.5) * (W - padL - padR);
+        const y = (b) => padT + (hi - b) / (hi - lo) * (H - padT - padB);
+        const ticks = [lo, (lo + hi) / 2, hi];
+        const day = (s) => s.date.slice(0, 10);
+        return `
+<svg viewBox="0 0 ${W} ${H}" width="100%" style="display:block; font:9px system-ui, sans-serif;">
+  ${ticks.map(t => `<line x1="${padL}" x2="${W - padR}" y1="${y(t)}" y2="${y(t)}" stroke="#eee"/><text x="${padL - 4}" y="${y(t) + 3}" text-anchor="end" fill="#777">${t.toFixed(2)}</text>`).join("")}
+  <line x1="${padL}" x2="${W - padR}" y1="${y(1)}" y2="${y(1)}" stroke="#999" stroke-dasharray="3,3"/>
+  <polyline fill="none" stroke="#0055a5" stroke-width="1.5" points="${snaps.map(s => `${x(s).toFixed(1)},${y(s.total).toFixed(1)}`).join(" ")}"/>
+  ${snaps.map(s => `<circle cx="${x(s).toFixed(1)}" cy="${y(s.total).toFixed(1)}" r="3" fill="#0055a5"><title>${day(s)}: β ${s.total.toFixed(3)}${s.profile ? ` (${escapeHtml(s.profile)})` : ""}</title></circle>`).join("")}
+  <text x="${padL}" y="${H - 6}" fill="#777">${day(snaps[0])}</text>
+  <text x="${W - padR}" y="${H - 6}" fill="#777" text-anchor="end">${day(snaps[snaps.length - 1])}</text>
+</svg>`;
+    }
+
+    // Splits the change in each ticker's contribution w×β into a weight effect (Δw·β_A)
+    // and a beta effect (w_B·Δβ). Accounts are merged per ticker.
+    function diffSnapshots(a, b) {
+        const byTicker = (snap) => {
+            const m = new Map();
+            for (const h of snap.holdings) {
+                const cur = m.get(h.ticker) || { weight: 0, beta: h.beta };
+                cur.weight += h.weight;
+                m.set(h.ticker, cur);
+            }
+            return m;
+        };
+        const ma = byTicker(a), mb = byTicker(b);
+        const tickers = [...new Set([...ma.keys(), ...mb.keys()])];
+        return tickers.map(ticker => {
+            const pa = ma.get(ticker) || { weight: 0, beta: null };
+            const pb = mb.get(ticker) || { weight: 0, beta: null };
+            const ba = pa.beta ?? 0, bb = pb.beta ?? 0;
+            const weightEffect = (pb.weight - pa.weight) * ba;
+            const betaEffect = pb.weight * (bb - ba);
+            return { ticker, a: pa, b: pb, weightEffect, betaEffect, change: pb.weight * bb - pa.weight * ba };
+        }).sort((x, y) => Math.abs(y.change) - Math.abs(x.change));
+    }
+
+    function renderHistoryView() {
+        const wrap = $("#mb_historywrap");
+        const history = loadJSON(HISTORY_KEY, []);
+        const profiles = [...new Set(history.map(h => h.profile).filter(Boolean))];
+        const filter = wrap.dataset.profile || "";
+        const snaps = history.filter(h => !filter || h.profile === filter);
+        const label = (s) => `${new Date(s.date).toLocaleString()} · β ${s.total.toFixed(3)}${s.profile ? ` · ${s.profile}` : ""}`;
+        const options = (selected) => snaps.map(s => `<option value="${s.id}"${s.id === selected ? " selected" : ""}>${escapeHtml(label(s))}</option>`).join("");
+        const idA = Number(wrap.dataset.a) || (snaps.length > 1 ? snaps[snaps.length - 2].id : 0);
+        const idB = Number(wrap.dataset.b) || (snaps.length ? snaps[snaps.length - 1].id : 0);
+        const snapA = snaps.find(s => s.id === idA), snapB = snaps.find(s => s.id === idB);
+
+        let diffHtml = "";
+        if (snapA && snapB && snapA !== snapB) {
+            const rows = diffSnapshots(snapA, snapB);
+            const f = (x, d = 3) => (x === null || x === undefined || isNaN(x)) ? "—" : x.toFixed(d);
+            const pctW = (w) => w ? `${(w * 100).toFixed(1)}%` : "—";
+            diffHtml = `
+<table style="width:100%; border-collapse:collapse; margin-top:6px; font-size:11px;">
+  <thead>
+    <tr style="background:#f4f4f4; border-bottom:1px solid #ddd;">
+      <th style="text-align:left; padding:4px;">Ticker</th>
+      <th style="text-align:right; padding:4px;">w A → B</th>
+      <th style="text-align:right; padding:4px;">β A → B</th>
+      <th style="text-align:right; padding:4px;" title="(w_B − w_A) · β_A">Weight eff.</th>
+      <th style="text-align:right; padding:4px;" title="w_B · (β_B − β_A)">Beta eff.</th>
+      <th style="text-align:right; padding:4px;">Δ w×β</th>
+    </tr>
+  </thead>
+  <tbody>
+    ${rows.map(r => `
+    <tr style="border-bottom:1px solid #eee;">
+      <td style="padding:4px;"><b>${escapeHtml(r.ticker)}</b>${!r.a.weight ? ' <span style="color:#080;">new</span>' : !r.b.weight ? ' <span style="color:#a00;">sold</span>' : ""}</td>
+      <td style="padding:4px; text-align:right;">${pctW(r.a.weight)} → ${pctW(r.b.weight)}</td>
+      <td style="padding:4px; text-align:right;">${f(r.a.beta, 2)} → ${f(r.b.beta, 2)}</td>
+      <td style="padding:4px; text-align:right;">${f(r.weightEffect)}</td>
+      <td style="padding:4px; text-align:right;">${f(r.betaEffect)}</td>
+      <td style="padding:4px; text-align:right; font-weight:600; color:${r.change >= 0 ? "#a00" : "#080"};">${r.change >= 0 ? "+" : ""}${f(r.change)}</td>
+    </tr>`).join("")}
+  </tbody>
+  <tfoot>
+    <tr style="border-top:2px solid #ccc; font-weight:700; background:#fafafa;">
+      <td style="padding:4px;" colspan="3">Portfolio ${snapA.total.toFixed(3)} → ${snapB.total.toFixed(3)}</td>
+      <td style="padding:4px; text-align:right;">${f(rows.reduce((s, r) => s + r.weightEffect, 0))}</td>
+      <td style="padding:4px; text-align:right;">${f(rows.reduce((s, r) => s + r.betaEffect, 0))}</td>
+      <td style="padding:4px; text-align:right;">${f(snapB.total - snapA.total)}</td>
+    </tr>
+  </tfoot>
+</table>`;
+        }
+
+        wrap.innerHTML = `
+<div style="display:flex; gap:8px; align-items:center; font-size:11px;">
+  <span style="opacity:.8; flex:1;">Beta history: ${snaps.length} snapshot(s)</span>
+  <select data-field="profile" style="padding:3px; border-radius:6px; border:1px solid #ccc;">
+    <option value="">All profiles</option>
+    ${profiles.map(p => `<option value="${escapeHtml(p)}"${p === filter ? " selected" : ""}>${escapeHtml(p)}</option>`).join("")}
+  </select>
+  <button data-act="clear" style="cursor:pointer; background:#fff; color:#a00; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">Clear history</button>
+</div>
+${snaps.length ? betaTrendSvg(snaps) : '<div style="font-size:11px; color:#777; margin-top:6px;">No completed runs stored yet.</div>'}
+${snaps.length > 1 ? `
+<div style="display:grid; grid-template-columns: auto 1fr auto; gap:4px 6px; align-items:center; font-size:11px; margin-top:6px;">
+  <span>A</span><select data-field="a" style="padding:3px; border-radius:6px; border:1px solid #ccc;">${options(idA)}</select>
+  <button data-act="delete" data-id="${idA}" title="Delete snapshot A" style="cursor:pointer; background:transparent; border:none; color:#a00;">✕</button>
+  <span>B</span><select data-field="b" style="padding:3px; border-radius:6px; border:1px solid #ccc;">${options(idB)}</select>
+  <button data-act="delete" data-id="${idB}" title="Delete snapshot B" style="cursor:pointer; background:transparent; border:none; color:#a00;">✕</button>
+</div>` : ""}
+${diffHtml}`;
+
+        wrap.onchange = (e) => {
+            const field = e.target.dataset.field;
+            if (!field) return;
+            wrap.dataset[field] = e.target.value;
+            if (field === "profile") { delete wrap.dataset.a; delete wrap.dataset.b; }
+            renderHistoryView();
+        };
+        wrap.onclick = (e) => {
+            const act = e.target.dataset && e.target.dataset.act;
+            if (act === "clear" && confirm("Delete all stored beta history?")) {
+                saveJSON(HISTORY_KEY, []);
+            } else if (act === "delete") {
+                saveJSON(HISTORY_KEY, loadJSON(HISTORY_KEY, []).filter(h => h.id !== Number(e.target.dataset.id)));
+                delete wrap.dataset.a;
+                delete wrap.dataset.b;
+            } else return;
+            renderHistoryView();
+        };
+    }
+
+    // --- Cache Management ---
+    $("#mb_cache").addEventListener("click", () => {
+        const wrap = $("#mb_cachewrap");
+        const open = wrap.style.display === "none";
+        wrap.style.display = open ? "" : "none";
+        if (open) renderCacheView();
+    });
+
+    async function renderCacheView() {
+        const wrap = $("#mb_cachewrap");
+        const records = (await listSeries()).sort((a, b) => a.key.localeCompare(b.key));
+        const betaKeys = Object.keys(localStorage).filter(k => k.startsWith(CACHE_PREFIX));
+        const kb = (rec) => (JSON.stringify(rec).length / 1024).toFixed(1);
+        const totalKB = records.reduce((s, r) => s + Number(kb(r)), 0);
+        wrap.innerHTML = `
+<div style="display:flex; gap:8px; align-items:center; font-size:11px;">
+  <span style="opacity:.8; flex:1;">Price store: ${records.length} series, ${totalKB.toFixed(1)} KB · Beta cache: ${betaKeys.length} entries</span>
+  <button data-act="purge-beta" style="cursor:pointer; background:#fff; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">Clear betas</button>
+  <button data-act="purge-all" style="cursor:pointer; background:#fff; color:#a00; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">Purge all prices</button>
+</div>
+<div style="max-height:180px; overflow:auto; margin-top:4px;">
+<table style="width:100%; border-collapse:collapse; font-size:11px;">
+  <thead>
+    <tr style="background:#f4f4f4; border-bottom:1px solid #ddd;">
+      <th style="text-align:left; padding:4px;">Symbol</th>
+      <th style="text-align:left; padding:4px;">Source</th>
+      <th style="text-align:left; padding:4px;">Coverage</th>
+      <th style="text-align:right; padding:4px;">Days</th>
+      <th style="text-align:right; padding:4px;">KB</th>
+      <th style="text-align:left; padding:4px;">Updated</th>
+      <th></th>
+    </tr>
+  </thead>
+  <tbody>
+    ${records.map(r => `
+    <tr style="border-bottom:1px solid #eee;">
+      <td style="padding:4px;"><b>${escapeHtml(r.symbol)}</b></td>
+      <td style="padding:4px;">${escapeHtml(r.source)}</td>
+      <td style="padding:4px;">${r.rows.length ? `${r.rows[0].date} → ${r.rows[r.rows.length - 1].date}` : "—"}</td>
+      <td style="padding:4px; text-align:right;">${r.rows.length}</td>
+      <td style="padding:4px; text-align:right;">${kb(r)}</td>
+      <td style="padding:4px;">${new Date(r.updatedAt).toLocaleString()}</td>
+      <td style="padding:4px; text-align:right;"><button data-act="purge" data-key="${escapeHtml(r.key)}" style="cursor:pointer; background:transparent; border:none; color:#a00;">✕</button></td>
+    </tr>`).join("")}
+  </tbody>
+</table>
+</div>`;
+        wrap.onclick = async (e) => {
+            const act = e.target.dataset && e.target.dataset.act;
+            if (!act) return;
+            if (act === "purge") {
+                await deleteSeries(e.target.dataset.key);
+                priceMemo.delete(e.target.dataset.key);
+            } else if (act === "purge-all") {
+                await clearSeries();
+                priceMemo.clear();
+            } else if (act === "purge-beta") {
+                betaKeys.forEach(k => localStorage.removeItem(k));
+            }
+            renderCacheView();
+        };
+    }
+
     // --- Draggable ---
     const header = $("#mb_header");
     let isDragging = false, startX, startY, initialLeft, initialTop;
@@ -230,174 +1024,949 @@ resize: both; /* Enables the resize handle in bottom-right corner */
     function onMouseUp() { isDragging = false; document.removeEventListener("mousemove", onMouseMove); document.removeEventListener("mouseup", onMouseUp); }
 
     // --- Aggregation Logic ---
+    // Page-specific logic lives in broker-adapters.js; the adapter is picked by URL.
+    const adapter = pickAdapter(location);
+    const columnMaps = () => loadJSON(COLUMN_MAPS_KEY, {});
+
     $("#mb_scrape").addEventListener("click", () => {
-        const result = scrapeAndAggregate();
+        const result = scrapeAndAggregate(false);
         if (!result.holdings.length) {
             $("#mb_status").textContent = "No valid holdings found in any table.";
             return;
         }
-        $("#mb_holdings").value = result.holdings.map(h => `${h.ticker}, ${h.weight}`).join("\n");
-        $("#mb_status").textContent = `Found ${result.tableCount} tables.\nAggregated ${result.rowCount} rows into ${result.holdings.length} unique holdings.\nTotal Value Detected: $${result.totalMV.toLocaleString(undefined, {maximumFractionDigits:0})}`;
+        $("#mb_status").textContent = applyScrape(result);
+    });
+
+    function applyScrape(result) {
+        scrapedTotalMV = result.totalMV;
+        $("#mb_holdings").value = holdingsText(result.holdings);
+        holdingsFromScrape = true;
+        return `Found ${result.tableCount} tables in ${result.accountCount} accounts (${adapter.label}).\nAggregated ${result.rowCount} rows into ${result.holdings.length} account holdings.\nTotal Value Detected: $${result.totalMV.toLocaleString(undefined, {maximumFractionDigits:0})}`;
+    }
+
+    // Rows of the tables on the page, by table (account + layout) and ticker. A scan replaces
+    // every table's rows with what it shows now, and tables that left the page are dropped.
+    // Only a paged table keeps rows from its other pages while watching: each page shows
+    // part of the account, and a position there is kept until its page shows it again.
+    let seenTables = new Map();
+    function scrapeAndAggregate(keepPaged) {
+        const { tableCount, tables } = scrapePage(document, adapter, columnMaps());
+        const next = new Map();
+        const occurrences = new Map();
+        for (const t of tables) {
+            const base = `${t.account}\n${t.key}`;
+            occurrences.set(base, (occurrences.get(base) || 0) + 1);
+            const id = `${base}\n${occurrences.get(base)}`;
+            const byTicker = new Map(keepPaged && t.paged && seenTables.get(id) || []);
+            const shown = new Map();
+            for (const r of t.rows) shown.set(r.ticker, (shown.get(r.ticker) || []).concat(r));
+            shown.forEach((rows, ticker) => byTicker.set(ticker, rows));
+            next.set(id, byTicker);
+        }
+        seenTables = next;
+        const rawRows = [...next.values()].flatMap(byTicker => [...byTicker.values()].flat());
+        return { tableCount, ...aggregateRows(rawRows) };
+    }
+
+    // --- Page Watching ---
+    // Broker pages load holdings after the page itself and replace them when another account
+    // is picked. While watching, the page is scanned again once its changes settle.
+    let pageObserver = null;
+    let rescanTimer = null;
+    let lastScanText = "";
+
+    function startWatching() {
+        if (pageObserver) return;
+        pageObserver = new MutationObserver((mutations) => {
+            if (mutations.every(m => panel.contains(m.target))) return;
+            clearTimeout(rescanTimer);
+            rescanTimer = setTimeout(rescan, RESCAN_DELAY_MS);
+        });
+        pageObserver.observe(adapter.watchRoot(document) || document.body, { childList: true, subtree: true, characterData: true });
+        rescan();
+    }
+
+    function stopWatching() {
+        if (pageObserver) pageObserver.disconnect();
+        pageObserver = null;
+        clearTimeout(rescanTimer);
+    }
+
+    // Typed, loaded or imported holdings are left alone until the next manual scrape.
+    function rescan() {
+        const result = scrapeAndAggregate(true);
+        const text = holdingsText(result.holdings);
+        if (!result.holdings.length || text === lastScanText) return;
+        lastScanText = text;
+        if (!holdingsFromScrape && $("#mb_holdings").value.trim()) {
+            if (!$("#mb_calc").disabled) $("#mb_status").textContent = "Page changed. The holdings were edited, so they were kept; Auto-scrape reads the page again.";
+            return;
+        }
+        const summary = applyScrape(result);
+        // A running calculation owns the status line; it already read the holdings.
+        if (!$("#mb_calc").disabled) $("#mb_status").textContent = `Page changed, holdings rescanned.\n${summary}`;
+    }
+
+    $("#mb_holdings").addEventListener("input", () => { holdingsFromScrape = false; });
+    $("#mb_watch").addEventListener("change", (e) => (e.target.checked ? startWatching() : stopWatching()));
+    if ($("#mb_watch").checked) startWatching();
+
+    // --- Column Mapping ---
+    // Preview of the tables the adapter found, with the column each role was read from.
+    // A correction is saved for the table's layout (adapter + header row), so it applies to
+    // every table with the same headers, on later visits too.
+    const COLUMN_ROLES = { sym: "Symbol", mv: "Value", w: "Weight", desc: "Description" };
+
+    $("#mb_columns").addEventListener("click", () => {
+        const wrap = $("#mb_columnswrap");
+        const open = wrap.style.display === "none";
+        wrap.style.display = open ? "" : "none";
+        if (open) renderColumnsView();
     });
 
-    function scrapeAndAggregate() {
-        const tables = Array.from(document.querySelectorAll("table"));
-        let rawRows = [];
-        let tableCount = 0;
+    function columnPreview(t, cols) {
+        if (cols.skip) return "Skipped.";
+        const rows = readTable(t.rows, cols, t.account);
+        const pct = (w) => (w ? ` · ${(w * 100).toFixed(1)}%` : "");
+        return rows.slice(0, 4).map(r => `${r.ticker} · ${r.assetClass} · ${fmtMV(r.mv)}${pct(r.w)}`).join("\n")
+            + `\n${rows.length} of ${t.rows.length} rows read`;
+    }
 
-        for (const table of tables) {
-            // 1. Check if table looks like a holdings table
-            const text = table.innerText || "";
-            if (!/symbol|ticker/i.test(text)) continue;
+    function renderColumnsView() {
+        const wrap = $("#mb_columnswrap");
+        const tables = detectTables(document, adapter, columnMaps());
+        const select = (t, role) => `
+    <label style="display:grid; gap:2px;">
+      <span style="opacity:.8;">${COLUMN_ROLES[role]}</span>
+      <select data-role="${role}" style="padding:3px; border-radius:6px; border:1px solid #ccc; max-width:130px;">
+        <option value="-1">—</option>
+        ${t.headers.map((h, i) => `<option value="${i}"${t.cols[role] === i ? " selected" : ""}>${escapeHtml(h || `Column ${i + 1}`)}</option>`).join("")}
+      </select>
+    </label>`;
+        wrap.innerHTML = `
+<div style="display:flex; gap:8px; align-items:center; font-size:11px;">
+  <span style="opacity:.8; flex:1;">${escapeHtml(adapter.label)} page: ${tables.length} holdings table(s). Hover a table to find it on the page.</span>
+</div>
+${tables.length ? "" : `<div style="font-size:11px; color:#a00; margin-top:4px;">No table with a symbol column and a value or weight column was found.</div>`}
+${tables.map((t, n) => `
+<div data-n="${n}" style="border:1px solid #eee; border-radius:6px; padding:6px; margin-top:6px; font-size:11px;">
+  <div style="display:flex; gap:8px; align-items:center;">
+    <b style="flex:1;">${escapeHtml(t.account)}</b>
+    <span style="opacity:.7;">Table ${t.index + 1} · ${t.rows.length} rows · ${t.saved ? "saved mapping" : "detected"}</span>
+    <label style="display:flex; gap:4px; align-items:center;"><input type="checkbox" data-role="skip"${t.cols.skip ? " checked" : ""}> Skip</label>
+  </div>
+  <div style="display:flex; gap:6px; flex-wrap:wrap; margin-top:4px;">
+    ${Object.keys(COLUMN_ROLES).map(role => select(t, role)).join("")}
+  </div>
+  <div data-preview style="white-space:pre-wrap; font-family:monospace; color:#444; margin-top:4px;">${escapeHtml(columnPreview(t, t.cols))}</div>
+  <div style="display:flex; gap:6px; margin-top:4px;">
+    <button data-act="save" style="cursor:pointer; background:#fff; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">Save for this layout</button>
+    ${t.saved ? `<button data-act="reset" style="cursor:pointer; background:#fff; color:#a00; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">Use detected</button>` : ""}
+  </div>
+</div>`).join("")}`;
 
-            const headers = Array.from(table.querySelectorAll("thead th, tr th")).map(th => (th.innerText || "").trim());
+        const cardCols = (card) => {
+            const cols = { skip: card.querySelector('[data-role="skip"]').checked };
+            for (const role of Object.keys(COLUMN_ROLES)) cols[role] = Number(card.querySelector(`select[data-role="${role}"]`).value);
+            return cols;
+        };
+        wrap.querySelectorAll("[data-n]").forEach(card => {
+            const t = tables[Number(card.dataset.n)];
+            card.addEventListener("mouseenter", () => { t.table.style.outline = "2px solid #0055a5"; });
+            card.addEventListener("mouseleave", () => { t.table.style.outline = ""; });
+            card.addEventListener("change", () => {
+                card.querySelector("[data-preview]").textContent = columnPreview(t, cardCols(card));
+            });
+            card.addEventListener("click", (e) => {
+                const act = e.target.dataset && e.target.dataset.act;
+                if (!act) return;
+                const maps = columnMaps();
+                if (act === "save") maps[t.key] = cardCols(card);
+                else delete maps[t.key];
+                saveJSON(COLUMN_MAPS_KEY, maps);
+                t.table.style.outline = "";
+                renderColumnsView();
+                $("#mb_status").textContent = act === "save"
+                    ? "Column mapping saved for this table layout. Scrape again to use it."
+                    : "Saved column mapping removed.";
+            });
+        });
+    }
 
-            // Identify Columns
-            const symIdx = headers.findIndex(h => /symbol|ticker|asset/i.test(h));
-            // "Value" often appears as "Market Value", "Current Value", "Amount", etc.
-            const mvIdx = headers.findIndex(h => /market\s*value|current\s*value|value/i.test(h));
-            // Fallback: Percentage Weight
-            const wIdx = headers.findIndex(h => /weight|%|allocation/i.test(h));
+    // --- Calculation & Render ---
+    $("#mb_calc").addEventListener("click", async () => {
+        const source = $("#mb_source").value;
+        const benchmarks = parseBenchmarks($("#mb_market").value);
+        const freq = $("#mb_freq").value;
+        const method = $("#mb_method").value;
+        const ctx = {
+            startedAt: Date.now(),
+            source,
+            order: providerOrder(source),
+            benchmarks,
+            marketSym: benchmarks[0],
+            multiFactor: $("#mb_multifactor").checked && benchmarks.length > 1,
+            lookback: parseInt($("#mb_lookback").value) || DEFAULT_LOOKBACK_DAYS,
+            range: { start: $("#mb_start").value, end: $("#mb_end").value },
+            freq,
+            method,
+            estimator: `${freq}-${method}`,
+        };
 
-            if (symIdx === -1) continue; // Must have a ticker column
-            // Must have either a value or a weight column to be useful
-            if (mvIdx === -1 && wIdx === -1) continue;
+        $("#mb_status").textContent = `Preparing (${source.toUpperCase()})...`;
+        $("#mb_tablewrap").innerHTML = "";
 
-            const rows = Array.from(table.querySelectorAll("tbody tr"));
-            if (rows.length < 1) continue;
+        try {
+            const holdings = parseHoldingsText($("#mb_holdings").value);
 
-            let foundInTable = 0;
-            for (const tr of rows) {
-                const tds = Array.from(tr.querySelectorAll("td"));
-                if (tds.length <= Math.max(symIdx, mvIdx, wIdx)) continue;
+            if (!holdings.length) throw new Error("No holdings.");
+            if (!ctx.marketSym) throw new Error("No proxy symbol.");
+            if (ctx.range.start && ctx.range.end && ctx.range.start >= ctx.range.end) throw new Error("Start date must be before the end date.");
 
-                // Extract Ticker
-                let ticker = "";
-                const a = tds[symIdx].querySelector("a");
-                if (a) ticker = a.textContent.trim().split(" ")[0];
+            // A ticker held in several accounts is only fetched once; fixed-beta classes only
+            // when a local price file exists for them.
+            ctx.localSymbols = new Set((await listSeries()).filter(s => s.source === "local").map(s => s.symbol));
+            const symbols = [...new Set(holdings.map(h => priceSymbol(h, ctx.localSymbols)).filter(Boolean))];
+            const run = await runWithProgress(() => computeBetas(symbols, ctx));
+            const runCtx = { ...ctx, window: run.window };
+            lastResults = await Promise.all(holdings.map(h => buildResult(h, run.betaBySym, runCtx)));
+            lastRun = { ...runCtx, holdings };
+            lastRisk = null;
+            currentView = ALL_ACCOUNTS;
+            renderResults();
+            reportRun(run);
+        } catch (e) { $("#mb_status").textContent = `Error: ${e.message}`; }
+    });
 
-                if (!ticker || /[a-z0-9]/.test(ticker)) continue; // skip junk/lowercase
+    $("#mb_cancel").addEventListener("click", () => {
+        $("#mb_status").textContent = "Cancelling...";
+        fetchQueue.cancelAll();
+    });
 
-                // Extract Market Value ($)
-                let mv = 0;
-                if (mvIdx !== -1) {
-                    mv = safeNum(tds[mvIdx].innerText);
-                }
+    // Re-runs only the holdings whose estimate errored (or was cancelled), keeping every
+    // other row, including hand-edited betas, as it is.
+    $("#mb_retry").addEventListener("click", async () => {
+        const failed = new Set(lastResults.filter(r => r.error).map(r => r.sym));
+        if (!failed.size || !lastRun) return;
+        try {
+            const run = await runWithProgress(() => computeBetas([...failed], lastRun));
+            lastRun.window = run.window;
+            lastResults = await Promise.all(lastResults.map((r, i) => r.error ? buildResult(lastRun.holdings[i], run.betaBySym, lastRun) : r));
+            renderResults();
+            reportRun(run);
+        } catch (e) { $("#mb_status").textContent = `Error: ${e.message}`; }
+    });
 
-                // Extract Weight (%)
-                let w = 0;
-                if (wIdx !== -1) {
-                    const rawW = tds[wIdx].innerText;
-                    w = safeNum(rawW);
-                    if (/%/.test(rawW)) w /= 100;
-                }
+    // A saved manual override replaces the beta; the estimate stays on the row for reference.
+    async function buildResult(h, betaBySym, ctx) {
+        const r = await estimateResult(h, betaBySym, ctx);
+        const override = loadJSON(OVERRIDES_KEY, {})[canonicalTicker(h.ticker)];
+        return override ? { ...r, estimatedBeta: r.beta, beta: override.beta, override } : { ...r, estimatedBeta: r.beta };
+    }
 
-                // We only care if we have MV or W
-                if (mv > 0 || w > 0) {
-                    rawRows.push({ ticker, mv, w });
-                    foundInTable++;
-                }
-            }
-            if (foundInTable > 0) tableCount++;
+    async function runWithProgress(fn) {
+        $("#mb_calc").disabled = true;
+        $("#mb_retry").style.display = "none";
+        $("#mb_runbar").style.display = "flex";
+        try {
+            return await fn();
+        } finally {
+            $("#mb_calc").disabled = false;
+            $("#mb_runbar").style.display = "none";
+            $("#mb_retry").style.display = lastResults.some(r => r.error) ? "" : "none";
         }
+    }
 
-        // --- Aggregation Step ---
-        // Prefer Market Value for aggregation.
-        // If some rows have MV and others don't, it's messy. We will assume if MV exists, we use it.
+    function showProgress(done, total, failed) {
+        $("#mb_progress").firstElementChild.style.width = `${total ? (done / total) * 100 : 0}%`;
+        $("#mb_status").textContent = `Fetching ${done}/${total}${failed ? ` (${failed} failed)` : ""}...`;
+    }
 
-        // Map: Ticker -> Total MV
-        const tickerMap = new Map();
-        let globalMV = 0;
+    function reportRun(run) {
+        const { order, method, freq } = lastRun;
+        const failed = lastResults.filter(r => r.error);
+        const cancelled = failed.filter(r => r.error === "Cancelled").length;
+        const mktInfo = Object.entries(run.marketProviders).map(([b, p]) => `${b}←${p}`).join(", ");
+        $("#mb_status").textContent = `${cancelled ? "Cancelled" : "Done"}. Source: ${order.join(" → ")}, ${freq} ${ESTIMATORS[method]}`
+            + `\nWindow: ${run.window.start} – ${run.window.end}`
+            + (mktInfo ? `\nMarket: ${mktInfo}` : "")
+            + Object.entries(run.marketErrors || {}).map(([b, e]) => `\nNo prices for benchmark ${b} (${e}), its betas are left empty.`).join("")
+            + (failed.length ? `\n${failed.length} holding(s) without data (hover the ticker for details).` : "");
+        $("#mb_retry").style.display = failed.length ? "" : "none";
+        if (!cancelled) recordSnapshot();
+    }
 
-        for (const r of rawRows) {
-            if (r.mv > 0) {
-                const cur = tickerMap.get(r.ticker) || 0;
-                tickerMap.set(r.ticker, cur + r.mv);
-                globalMV += r.mv;
-            }
+    // --- Results View ---
+    // Rows for the selected view. "All accounts" merges a ticker held in several accounts;
+    // a single account shows only its rows, re-weighted to 100% of that account.
+    function viewRows(results, view) {
+        if (view !== ALL_ACCOUNTS) {
+            const rows = results.filter(r => r.account === view);
+            const acctW = rows.reduce((s, r) => s + r.weight, 0);
+            return rows.map(r => ({ ...r, weight: acctW > 0 ? r.weight / acctW : 0 }));
+        }
+        const byTicker = new Map();
+        for (const r of results) {
+            const cur = byTicker.get(r.ticker);
+            if (cur) cur.weight += r.weight;
+            else byTicker.set(r.ticker, { ...r });
         }
+        return [...byTicker.values()];
+    }
 
-        // If we found valid dollar values, use them to build weights
-        if (globalMV > 0) {
-            const uniqueHoldings = [];
-            for (const [ticker, totalMV] of tickerMap.entries()) {
-                uniqueHoldings.push({ ticker, weight: (totalMV / globalMV).toFixed(5) }); // 5 decimals for precision
-            }
-            return { tableCount, rowCount: rawRows.length, holdings: uniqueHoldings, totalMV: globalMV };
+    // Per-account subtotals. w×β is the account's contribution to the household beta;
+    // the account beta is the same sum re-weighted to the account alone.
+    function summarizeAccounts(results) {
+        const map = new Map();
+        for (const r of results) {
+            const a = map.get(r.account) || { account: r.account, weight: 0, wb: 0 };
+            a.weight += r.weight;
+            if (!isNaN(r.beta)) a.wb += r.weight * r.beta;
+            map.set(r.account, a);
         }
+        return [...map.values()].map(a => ({
+            ...a,
+            mv: scrapedTotalMV > 0 ? a.weight * scrapedTotalMV : NaN,
+            beta: a.weight > 0 ? a.wb / a.weight : NaN,
+        }));
+    }
 
-        // Fallback: If no dollar values found (only %), we can't mathematically sum them accurately
-        // without knowing the account size.
-        // Best Effort: Just average the weights or sum them (assuming they belong to the same pot).
-        // Here we will just List them all and let the user decide.
-        // But likely we won't hit this on Merrill, as MV is standard.
-        return {
-            tableCount,
-            rowCount: rawRows.length,
-            holdings: rawRows.map(r => ({ ticker: r.ticker, weight: r.w || 0.01 })), // default dummy weight
-            totalMV: 0
+    function fmtMV(mv) {
+        return isNaN(mv) ? "—" : `${mv < 0 ? "-" : ""}$${Math.abs(mv).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+    }
+
+    function renderResults() {
+        const wrap = $("#mb_tablewrap");
+        wrap.innerHTML = "";
+        const accounts = [...new Set(lastResults.map(r => r.account))];
+
+        if (accounts.length > 1) {
+            const bar = document.createElement("label");
+            bar.style.cssText = "display:flex; gap:8px; align-items:center; font-size:11px;";
+            bar.innerHTML = `<span style="opacity:.8;">View</span>
+<select id="mb_view" style="padding:4px; border-radius:6px; border:1px solid #ccc; flex:1;">
+  <option value="${ALL_ACCOUNTS}">All accounts</option>
+  ${accounts.map(a => `<option value="${escapeHtml(a)}">${escapeHtml(a)}</option>`).join("")}
+</select>`;
+            wrap.appendChild(bar);
+            const sel = bar.querySelector("select");
+            sel.value = currentView;
+            sel.addEventListener("change", () => { currentView = sel.value; renderResults(); });
+        }
+
+        const coverage = document.createElement("div");
+        const summary = document.createElement("div");
+        const rows = viewRows(lastResults, currentView);
+        renderTable(rows, () => {
+            renderCoverage(coverage, rows);
+            if (accounts.length > 1) renderAccountSummary(summary);
+        });
+        wrap.appendChild(coverage);
+        wrap.appendChild(summary);
+
+        if (lastRun.benchmarks.length > 1) {
+            const bench = document.createElement("div");
+            renderBenchmarks(bench, rows);
+            wrap.appendChild(bench);
+        }
+
+        const exportBar = document.createElement("div");
+        exportBar.style.cssText = "display:flex; gap:6px; align-items:center; margin-top:10px; font-size:11px;";
+        exportBar.innerHTML = `<span style="opacity:.8;">Export</span>
+${[["csv", "CSV"], ["json", "JSON"], ["md", "Copy Markdown"], ["tsv", "Copy TSV"]].map(([k, label]) => `<button data-export="${k}" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:3px 8px;">${label}</button>`).join("")}`;
+        wrap.appendChild(exportBar);
+        exportBar.addEventListener("click", (e) => {
+            const kind = e.target.dataset && e.target.dataset.export;
+            if (kind) exportResults(kind);
+        });
+
+        const whatIf = document.createElement("div");
+        whatIf.style.marginTop = "10px";
+        whatIf.innerHTML = `<button id="mb_whatif" style="cursor:pointer; background:#eef; color:#333; border:1px solid #ccd; border-radius:6px; padding:6px 12px;">Hedge / what-if</button>`;
+        wrap.appendChild(whatIf);
+        $("#mb_whatif").addEventListener("click", () => renderWhatIf(whatIf));
+
+        const risk = document.createElement("div");
+        risk.style.marginTop = "10px";
+        risk.innerHTML = `<button id="mb_risk" style="cursor:pointer; background:#eef; color:#333; border:1px solid #ccd; border-radius:6px; padding:6px 12px;">Risk report</button>`;
+        wrap.appendChild(risk);
+        $("#mb_risk").addEventListener("click", async () => {
+            try {
+                await renderRiskReport(risk);
+            } catch (e) { $("#mb_status").textContent = `Error: ${e.message}`; }
+        });
+    }
+
+    // --- Benchmarks & Factors ---
+    // Side-by-side single-benchmark betas and, in multi-factor mode, the joint loadings.
+    // Portfolio rows are weight-sums over the view, skipping holdings without an estimate.
+    function renderBenchmarks(container, rows) {
+        const { benchmarks, multiFactor } = lastRun;
+        const fmt = (x) => (x === undefined || isNaN(x)) ? "—" : x.toFixed(2);
+        const head = `<th style="text-align:left; padding:4px 6px;">Ticker</th>${benchmarks.map(b => `<th style="text-align:right; padding:4px 6px;">${escapeHtml(b)}</th>`).join("")}`;
+        const weighted = (get) => benchmarks.map((b, k) => rows.reduce((s, r) => {
+            const v = get(r, b, k);
+            return isNaN(v) ? s : s + r.weight * v;
+        }, 0));
+        const table = (title, body, foot, extraHead = "") => `
+<div style="opacity:.8; font-size:11px; margin-top:10px;">${title}</div>
+<table style="width:100%; border-collapse:collapse; margin-top:4px; font-size:12px;">
+  <thead><tr style="background:#f4f4f4; border-bottom:1px solid #ddd;">${head}${extraHead}</tr></thead>
+  <tbody>${body}</tbody>
+  <tfoot>${foot}</tfoot>
+</table>`;
+
+        const betaOfBench = (r, b) => (r.benchBetas ? r.benchBetas[b] : NaN);
+        let html = table(
+            "Beta by benchmark",
+            rows.map(r => `<tr style="border-bottom:1px solid #eee;"><td style="padding:4px 6px;">${escapeHtml(r.ticker)}</td>${benchmarks.map(b => `<td style="padding:4px 6px; text-align:right;">${fmt(betaOfBench(r, b))}</td>`).join("")}</tr>`).join(""),
+            `<tr style="border-top:2px solid #ccc; font-weight:700; background:#fafafa;"><td style="padding:6px;">Portfolio</td>${weighted(betaOfBench).map(v => `<td style="padding:6px; text-align:right;">${v.toFixed(3)}</td>`).join("")}</tr>`
+        );
+
+        if (multiFactor) {
+            const loadingOf = (r, b, k) => (r.factors ? r.factors.loadings[k] : NaN);
+            const fitted = rows.filter(r => r.factors);
+            const r2 = fitted.reduce((s, r) => s + r.weight * r.factors.r2, 0) / (fitted.reduce((s, r) => s + r.weight, 0) || NaN);
+            html += table(
+                "Multi-factor loadings",
+                rows.map(r => `<tr style="border-bottom:1px solid #eee;"><td style="padding:4px 6px;">${escapeHtml(r.ticker)}</td>${benchmarks.map((b, k) => {
+                    const se = r.factors ? r.factors.se[k] : NaN;
+                    return `<td style="padding:4px 6px; text-align:right;" title="${isNaN(se) ? "" : `SE ${se.toFixed(3)}`}">${fmt(loadingOf(r, b, k))}</td>`;
+                }).join("")}<td style="padding:4px 6px; text-align:right;">${r.factors ? fmt(r.factors.r2) : "—"}</td></tr>`).join(""),
+                `<tr style="border-top:2px solid #ccc; font-weight:700; background:#fafafa;"><td style="padding:6px;">Portfolio</td>${weighted(loadingOf).map(v => `<td style="padding:6px; text-align:right;">${v.toFixed(3)}</td>`).join("")}<td style="padding:6px; text-align:right;" title="Weight-averaged R²">${fmt(r2)}</td></tr>`,
+                `<th style="text-align:right; padding:4px 6px;">R²</th>`
+            );
+        }
+        container.innerHTML = html;
+    }
+
+    // --- Risk Report ---
+    // Pulls daily closes for the current view (from the session memo where possible), builds
+    // the weighted portfolio series and renders the metrics table and correlation heatmap.
+    async function renderRiskReport(container) {
+        const { order, marketSym } = lastRun;
+        const rows = viewRows(lastResults, currentView);
+        const inWindow = (prices) => clipRows(prices, lastRun);
+
+        $("#mb_status").textContent = `Risk report: fetching market ${marketSym}`;
+        const mktWindow = inWindow((await getSeries(marketSym, order)).rows);
+        const mktRets = toReturns(mktWindow);
+        // Fixed-beta classes are held at constant value; options move as elasticity × underlying.
+        const retsByTicker = new Map();
+        let loaded = 0;
+        await Promise.all(rows.map(async (r) => {
+            try {
+                if (r.method === "default") {
+                    retsByTicker.set(r.ticker, mktRets.map(x => ({ date: x.date, r: 0 })));
+                } else {
+                    const scale = r.method === "delta" ? r.elasticity : 1;
+                    const checked = await checkSeries(r.sym, await getSeries(r.sym, order), mktWindow, { getSeries, order, clip: inWindow });
+                    const rets = toReturns(checked.rows).map(x => ({ date: x.date, r: x.r * scale }));
+                    if (rets.length >= 20 && Number.isFinite(scale)) retsByTicker.set(r.ticker, rets);
+                }
+            } catch (e) { /* left out of the portfolio series and reported as uncovered */ }
+            $("#mb_status").textContent = `Risk report: loaded ${++loaded}/${rows.length}`;
+        }));
+
+        const covered = rows.filter(r => retsByTicker.has(r.ticker));
+        const coveredW = covered.reduce((s, r) => s + r.weight, 0);
+        if (!covered.length) throw new Error("No price history for the risk report.");
+        const weights = new Map(covered.map(r => [r.ticker, r.weight / coveredW]));
+        const port = portfolioReturns(retsByTicker, weights);
+        if (port.length < 20) throw new Error("Too few common trading days for the risk report.");
+        const m = riskMetrics(port, mktRets);
+
+        const viewW = currentView === ALL_ACCOUNTS ? 1 : lastResults.filter(r => r.account === currentView).reduce((s, r) => s + r.weight, 0);
+        const viewMV = scrapedTotalMV > 0 ? scrapedTotalMV * viewW : NaN;
+        const pct = (x, d = 2) => isNaN(x) ? "—" : `${(x * 100).toFixed(d)}%`;
+        const loss = (x) => isNaN(viewMV) ? pct(x) : `${pct(x)} <span style="color:#777;">(${fmtMV(x * viewMV)})</span>`;
+        const cell = "padding:4px 6px; text-align:right;";
+
+        const tickers = covered.filter(r => r.method !== "default").sort((a, b) => b.weight - a.weight).map(r => r.ticker);
+        const corr = correlationMatrix(retsByTicker, tickers, port.map(x => x.date));
+        const heat = (c) => {
+            if (isNaN(c)) return "background:#eee;";
+            const rgb = c >= 0 ? "214,39,40" : "31,119,180";
+            return `background:rgba(${rgb},${Math.abs(c).toFixed(2)}); color:${Math.abs(c) > 0.6 ? "#fff" : "#111"};`;
         };
+
+        container.innerHTML = `
+<div style="opacity:.8; font-size:11px;">Risk report — ${escapeHtml(currentView === ALL_ACCOUNTS ? "All accounts" : currentView)}, ${m.n} days, ${pct(coveredW, 1)} of weight covered</div>
+<table style="width:100%; border-collapse:collapse; margin-top:4px; font-size:12px;">
+  <tbody>
+    <tr style="border-bottom:1px solid #eee;"><td style="padding:4px 6px;">Annualized volatility</td><td style="${cell}">${pct(m.vol)}</td></tr>
+    <tr style="border-bottom:1px solid #eee;"><td style="padding:4px 6px;">Tracking error vs ${escapeHtml(marketSym)}</td><td style="${cell}">${pct(m.te)}</td></tr>
+    <tr style="border-bottom:1px solid #eee;"><td style="padding:4px 6px;">Information ratio</td><td style="${cell}">${isNaN(m.ir) ? "—" : m.ir.toFixed(2)}</td></tr>
+    <tr style="border-bottom:1px solid #eee;"><td style="padding:4px 6px;">Max drawdown</td><td style="${cell}">${pct(m.maxDD)}</td></tr>
+  </tbody>
+</table>
+<table style="width:100%; border-collapse:collapse; margin-top:8px; font-size:12px;">
+  <thead>
+    <tr style="background:#f4f4f4; border-bottom:1px solid #ddd;">
+      <th style="text-align:left; padding:4px 6px;">Loss</th>
+      ${m.varRows.map(v => `<th style="${cell}">${v.level * 100}% 1-day</th><th style="${cell}">${v.level * 100}% 10-day</th>`).join("")}
+    </tr>
+  </thead>
+  <tbody>
+    ${[["histVaR", "Historical VaR"], ["histCVaR", "Historical CVaR"], ["paramVaR", "Parametric VaR"], ["paramCVaR", "Parametric CVaR"]].map(([k, label]) => `
+    <tr style="border-bottom:1px solid #eee;">
+      <td style="padding:4px 6px;">${label}</td>
+      ${m.varRows.map(v => `<td style="${cell}">${loss(v.oneDay[k])}</td><td style="${cell}">${loss(v.tenDay[k])}</td>`).join("")}
+    </tr>`).join("")}
+  </tbody>
+</table>
+<div style="opacity:.8; font-size:11px; margin-top:10px;">Correlation</div>
+<div style="overflow:auto; margin-top:4px;">
+<table style="border-collapse:collapse; font-size:10px;">
+  <tr><th></th>${tickers.map(t => `<th style="padding:2px 4px;">${escapeHtml(t)}</th>`).join("")}</tr>
+  ${corr.map((row, a) => `<tr><th style="padding:2px 4px; text-align:left;">${escapeHtml(tickers[a])}</th>${row.map(c => `<td style="padding:2px 4px; text-align:center; ${heat(c)}">${isNaN(c) ? "—" : c.toFixed(2)}</td>`).join("")}</tr>`).join("")}
+</table>
+</div>`;
+        lastRisk = { view: currentView, n: m.n, coveredW, metrics: m };
+        $("#mb_status").textContent = `Risk report done (${m.n} common days, ${m.nActive} vs ${marketSym}).`;
     }
 
-    // --- Calculation & Render (Same as before) ---
-    $("#mb_calc").addEventListener("click", async () => {
-        const source = $("#mb_source").value;
-        const marketSymRaw = $("#mb_market").value;
-        const marketSym = normalizeTicker(marketSymRaw, source);
-        const lookback = parseInt($("#mb_lookback").value) || DEFAULT_LOOKBACK_DAYS;
+    // --- What-if ---
+    // Hedge sizing and a weight simulator for the current view. Trades are funded from or
+    // paid into cash (β 0), so the value of the view stays fixed and β = Σ w·β throughout.
+    function viewValue() {
+        const viewW = currentView === ALL_ACCOUNTS ? 1 : lastResults.filter(r => r.account === currentView).reduce((s, r) => s + r.weight, 0);
+        return scrapedTotalMV > 0 ? scrapedTotalMV * viewW : NaN;
+    }
 
-        $("#mb_status").textContent = `Preparing (${source.toUpperCase()})...`;
-        $("#mb_tablewrap").innerHTML = "";
+    async function lastClose(ticker) {
+        const { rows } = await getSeries(canonicalTicker(ticker), lastRun.order);
+        return rows[rows.length - 1].close;
+    }
 
-        try {
-            const lines = $("#mb_holdings").value.split("\n").filter(x => x.trim());
-            const holdings = [];
-            lines.forEach(line => {
-                const [t, wRaw] = line.split(",").map(s => s.trim());
-                let w = safeNum(wRaw);
-                if (/%/.test(wRaw)) w /= 100;
-                if (t && w > 0) holdings.push({ ticker: t, weight: w });
-            });
+    // Beta of a ticker that is not in the results, estimated with the settings of the last run.
+    async function estimateTicker(ticker) {
+        const sym = canonicalTicker(ticker);
+        const { betaBySym } = await computeBetas([sym], lastRun);
+        const est = betaBySym.get(sym);
+        if (est.error) throw new Error(`${sym}: ${est.error}`);
+        return est.beta;
+    }
 
-            if (!holdings.length) throw new Error("No holdings.");
-            const wSum = holdings.reduce((s, h) => s + h.weight, 0);
-            holdings.forEach(h => h.weight /= wSum);
-
-            const needsMarket = holdings.some(h => !getCachedBeta(source, normalizeTicker(h.ticker, source), marketSym, lookback));
-            let marketRets = null;
-            if (needsMarket) {
-                $("#mb_status").textContent = `Fetching Market: ${marketSym}`;
-                const mPrices = source === "stooq" ? await fetchPricesStooq(marketSym) : await fetchPricesYahoo(marketSym);
-                marketRets = toReturns(mPrices.slice(-(lookback + 10)));
+    // Dollar amount of an instrument with beta `hedgeBeta` that moves the view from `beta`
+    // to `target`. Positive means buy, negative means sell or short.
+    function hedgeNotional(beta, target, hedgeBeta, value) {
+        return (target - beta) * value / hedgeBeta;
+    }
+
+    function renderWhatIf(container) {
+        const { marketSym } = lastRun;
+        const value = viewValue();
+        const sim = viewRows(lastResults, currentView)
+            .filter(r => !isNaN(betaOf(r.ticker)))
+            .map(r => ({ ticker: r.ticker, beta: betaOf(r.ticker), weight: r.weight, newWeight: r.weight, added: false }));
+        const current = sim.reduce((s, r) => s + r.weight * r.beta, 0);
+        const tradable = sim.filter(r => lastResults.find(x => x.ticker === r.ticker).method === "regression" && r.ticker !== marketSym);
+        const cell = "padding:4px 6px; text-align:right;";
+        const input = "padding:3px; border-radius:6px; border:1px solid #ccc;";
+
+        container.innerHTML = `
+<div style="opacity:.8; font-size:11px;">Hedge to a target beta — ${escapeHtml(currentView === ALL_ACCOUNTS ? "All accounts" : currentView)}, current β ${current.toFixed(3)}</div>
+<div style="display:grid; grid-template-columns: 110px 1fr; gap:6px; align-items:center; font-size:12px; margin-top:4px;">
+  <label>Target beta</label>
+  <input data-h="target" type="number" step="0.05" value="${Math.round(current * 20) / 20}" style="${input}">
+  <label>Value</label>
+  <input data-h="value" type="number" step="1000" value="${isNaN(value) ? "" : Math.round(value)}" placeholder="total market value ($)" style="${input}">
+  <label>Instrument</label>
+  <select data-h="instrument" style="${input}">
+    <option value="proxy">${escapeHtml(marketSym)} (market proxy, β 1)</option>
+    ${Object.entries(HEDGE_INSTRUMENTS).map(([k, h]) => `<option value="${k}">${escapeHtml(h.label)}</option>`).join("")}
+    ${tradable.map(r => `<option value="holding:${escapeHtml(r.ticker)}">${escapeHtml(r.ticker)} (holding, β ${r.beta.toFixed(2)})</option>`).join("")}
+    <option value="other">Other ticker…</option>
+  </select>
+  <label data-h="otherlabel" style="display:none;">Ticker</label>
+  <input data-h="other" style="display:none; ${input}" placeholder="e.g. QQQ">
+  <label data-h="pricelabel">Price</label>
+  <input data-h="price" type="number" step="0.01" style="${input}">
+</div>
+<div style="display:flex; gap:8px; margin-top:6px;">
+  <button data-h="size" style="cursor:pointer; background:#0055a5; color:#fff; border:none; border-radius:6px; padding:5px 10px;">Size hedge</button>
+  <button data-h="apply" disabled style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:5px 10px;">Add to simulator</button>
+</div>
+<div data-h="result" style="font-size:12px; margin-top:6px; white-space:pre-wrap;"></div>
+<div style="opacity:.8; font-size:11px; margin-top:10px;">Simulator — edit weights, sell or add tickers</div>
+<div data-h="sim"></div>
+<div style="display:flex; gap:6px; align-items:center; margin-top:6px; font-size:12px;">
+  <input data-h="addticker" placeholder="Ticker" style="width:80px; ${input}">
+  <input data-h="addweight" type="number" step="0.5" placeholder="Weight %" style="width:80px; ${input}">
+  <button data-h="add" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:4px 10px;">Add</button>
+  <button data-h="reset" style="cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:6px; padding:4px 10px;">Reset</button>
+</div>`;
+        const el = (k) => container.querySelector(`[data-h="${k}"]`);
+        let sized = null;
+
+        // Resolves the chosen instrument to { ticker, beta, multiplier, label }.
+        const instrument = async () => {
+            const key = el("instrument").value;
+            if (key === "proxy") return { ticker: marketSym, beta: 1, label: marketSym };
+            if (key.startsWith("holding:")) {
+                const ticker = key.slice(8);
+                return { ticker, beta: betaOf(ticker), label: ticker };
+            }
+            if (key === "other") {
+                const ticker = canonicalTicker(el("other").value);
+                if (!ticker) throw new Error("Enter a ticker.");
+                return { ticker, beta: await estimateTicker(ticker), label: ticker };
             }
+            const h = HEDGE_INSTRUMENTS[key];
+            return { ticker: h.ticker, beta: h.beta, multiplier: h.multiplier, label: key };
+        };
+
+        const fillPrice = async () => {
+            const key = el("instrument").value;
+            const futures = !!(HEDGE_INSTRUMENTS[key] && HEDGE_INSTRUMENTS[key].multiplier);
+            el("otherlabel").style.display = el("other").style.display = key === "other" ? "" : "none";
+            el("pricelabel").textContent = futures ? "Index level" : "Price";
+            el("price").value = "";
+            if (key === "other") return;
+            try {
+                const ticker = futures ? "SPY" : (await instrument()).ticker;
+                const px = await lastClose(ticker);
+                el("price").value = (futures ? px * INDEX_PER_SPY : px).toFixed(2);
+                el("price").title = futures ? `≈ ${INDEX_PER_SPY} × SPY last close; use the futures quote if you have it` : `${ticker} last close`;
+            } catch (e) { el("price").placeholder = "enter price"; }
+        };
 
-            const results = [];
-            let i = 0;
-            for (const h of holdings) {
-                i++;
-                const sym = normalizeTicker(h.ticker, source);
-                const cached = getCachedBeta(source, sym, marketSym, lookback);
-                if (cached) { results.push({ ...h, beta: cached.beta, n: cached.n, cached: true }); continue; }
-
-                $("#mb_status").textContent = `Fetching ${i}/${holdings.length}: ${sym}`;
-                try {
-                    if (i > 1) await sleep(1000);
-                    const prices = source === "stooq" ? await fetchPricesStooq(sym) : await fetchPricesYahoo(sym);
-                    const assetRets = toReturns(prices.slice(-(lookback + 10)));
-                    const { asset, mkt } = alignReturns(assetRets, marketRets);
-                    const beta = calculateBeta(asset, mkt);
-                    if (!isNaN(beta)) setCachedBeta(source, sym, marketSym, lookback, beta, asset.length);
-                    results.push({ ...h, beta, n: asset.length, cached: false });
-                } catch (e) {
-                    results.push({ ...h, beta: NaN, n: 0, error: true });
+        el("instrument").addEventListener("change", fillPrice);
+        el("other").addEventListener("change", async () => {
+            try { el("price").value = (await lastClose(el("other").value)).toFixed(2); } catch (e) { el("price").placeholder = "enter price"; }
+        });
+
+        el("size").addEventListener("click", async () => {
+            sized = null;
+            el("apply").disabled = true;
+            const result = el("result");
+            try {
+                const target = parseFloat(el("target").value);
+                const val = parseFloat(el("value").value);
+                const price = parseFloat(el("price").value);
+                if (isNaN(target)) throw new Error("Enter a target beta.");
+                if (!(val > 0)) throw new Error("Enter the market value (scrape the page or type it).");
+                if (!(price > 0)) throw new Error("Enter the instrument price.");
+                result.textContent = "Sizing…";
+                const inst = await instrument();
+                if (!inst.beta) throw new Error(`${inst.label} has no usable beta.`);
+                const unit = price * (inst.multiplier || 1);
+                const needed = hedgeNotional(current, target, inst.beta, val);
+                const units = Math.round(needed / unit);
+                const dollars = units * unit;
+                const after = current + inst.beta * dollars / val;
+                const noun = inst.multiplier ? "contract(s)" : "share(s)";
+                let text = units === 0
+                    ? `The hedge needs ${fmtMV(needed)} of ${inst.label}, which rounds to zero ${noun}.`
+                    : `${units > 0 ? "Buy" : "Sell"} ${Math.abs(units).toLocaleString()} ${noun} of ${inst.label} `
+                        + `(${inst.multiplier ? "notional " : ""}${fmtMV(Math.abs(dollars))}, β ${inst.beta.toFixed(2)})`
+                        + `\nResulting beta ${after.toFixed(3)} (target ${target.toFixed(3)}, from ${current.toFixed(3)})`;
+                const held = sim.find(r => r.ticker === inst.ticker && !r.added);
+                if (units < 0 && !inst.multiplier && (!held || -dollars > held.weight * val)) {
+                    text += `\nThis sells more ${inst.label} than the view holds; the remainder is a short sale.`;
+                }
+                result.textContent = text;
+                if (units !== 0) {
+                    sized = { ticker: inst.multiplier ? `${inst.label} futures` : inst.ticker, beta: inst.beta, weight: dollars / val, overlay: !!inst.multiplier };
+                    el("apply").disabled = false;
                 }
+            } catch (e) { result.textContent = `Error: ${e.message}`; }
+        });
+
+        el("apply").addEventListener("click", () => {
+            if (!sized) return;
+            const row = sim.find(r => r.ticker === sized.ticker);
+            if (row) row.newWeight += sized.weight;
+            else sim.push({ ticker: sized.ticker, beta: sized.beta, weight: 0, newWeight: sized.weight, added: true, overlay: sized.overlay });
+            renderSim();
+        });
+
+        el("add").addEventListener("click", async () => {
+            const ticker = canonicalTicker(el("addticker").value);
+            const weight = parseFloat(el("addweight").value) / 100;
+            if (!ticker || isNaN(weight)) { el("result").textContent = "Enter a ticker and a weight to add."; return; }
+            const existing = sim.find(r => r.ticker === ticker);
+            if (existing) {
+                existing.newWeight += weight;
+            } else {
+                el("result").textContent = `Estimating ${ticker}…`;
+                let beta;
+                try { beta = await estimateTicker(ticker); } catch (e) { el("result").textContent = `Error: ${e.message}. Type a beta in the simulator row.`; beta = NaN; }
+                if (!isNaN(beta)) el("result").textContent = `${ticker}: β ${beta.toFixed(2)} vs ${marketSym}.`;
+                sim.push({ ticker, beta, weight: 0, newWeight: weight, added: true });
             }
-            renderTable(results);
-            $("#mb_status").textContent = `Done. Source: ${source}`;
-        } catch (e) { $("#mb_status").textContent = `Error: ${e.message}`; }
-    });
+            el("addticker").value = el("addweight").value = "";
+            renderSim();
+        });
+
+        el("reset").addEventListener("click", () => {
+            for (let i = sim.length - 1; i >= 0; i--) {
+                if (sim[i].added) sim.splice(i, 1);
+                else sim[i].newWeight = sim[i].weight;
+            }
+            renderSim();
+        });
+
+        const val = () => parseFloat(el("value").value);
+        el("value").addEventListener("input", () => updateSim());
+
+        function renderSim() {
+            el("sim").innerHTML = `
+<table style="width:100%; border-collapse:collapse; margin-top:4px; font-size:12px;">
+  <thead>
+    <tr style="background:#f4f4f4; border-bottom:1px solid #ddd;">
+      <th style="text-align:left; padding:4px 6px;">Ticker</th>
+      <th style="${cell}">β</th>
+      <th style="${cell}">Weight</th>
+      <th style="${cell}">New %</th>
+      <th style="${cell}">Trade</th>
+      <th></th>
+    </tr>
+  </thead>
+  <tbody>
+    ${sim.map((r, i) => `
+    <tr data-i="${i}" style="border-bottom:1px solid #eee;${r.added ? " background:#eef7ee;" : ""}">
+      <td style="padding:4px 6px;"><b>${escapeHtml(r.ticker)}</b></td>
+      <td style="${cell}">${r.added ? `<input class="s-beta" type="number" step="0.05" value="${isNaN(r.beta) ? "" : r.beta.toFixed(2)}" style="width:56px; ${input}">` : r.beta.toFixed(2)}</td>
+      <td style="${cell}">${(r.weight * 100).toFixed(1)}%</td>
+      <td style="${cell}"><input class="s-w" type="number" step="0.5" value="${(r.newWeight * 100).toFixed(1)}" style="width:64px; ${input}"></td>
+      <td style="${cell}" class="s-trade"></td>
+      <td style="padding:4px 2px;"><a href="#" class="s-sell" title="${r.added ? "Remove" : "Sell all"}" style="color:#a00; text-decoration:none;">✕</a></td>
+    </tr>`).join("")}
+  </tbody>
+  <tfoot>
+    <tr style="border-top:2px solid #ccc; font-weight:700; background:#fafafa;">
+      <td style="padding:4px 6px;" colspan="2">Simulated β</td>
+      <td style="${cell}">${current.toFixed(3)}</td>
+      <td style="${cell}" class="s-total"></td>
+      <td style="${cell}" class="s-delta" colspan="2"></td>
+    </tr>
+  </tfoot>
+</table>
+<div class="s-cash" style="font-size:11px; color:#666; margin-top:4px;"></div>`;
+            updateSim();
+        }
 
-    function renderTable(results) {
+        // Recomputes totals in place so typing in a weight keeps focus.
+        function updateSim() {
+            const v = val();
+            const tbody = el("sim").querySelector("tbody");
+            if (!tbody) return;
+            for (const tr of tbody.rows) {
+                const r = sim[tr.dataset.i];
+                const trade = (r.newWeight - r.weight) * v;
+                tr.querySelector(".s-trade").textContent = Math.abs(r.newWeight - r.weight) < 1e-9 ? "" : (isNaN(v) ? `${((r.newWeight - r.weight) * 100).toFixed(1)}%` : `${trade > 0 ? "+" : ""}${fmtMV(trade)}`);
+            }
+            const simBeta = sim.reduce((s, r) => isNaN(r.beta) ? s : s + r.newWeight * r.beta, 0);
+            const cash = sim.reduce((s, r) => r.overlay ? s : s + r.weight - r.newWeight, 0);
+            const delta = simBeta - current;
+            el("sim").querySelector(".s-total").textContent = simBeta.toFixed(3);
+            el("sim").querySelector(".s-delta").textContent = `${delta >= 0 ? "+" : ""}${delta.toFixed(3)}`;
+            el("sim").querySelector(".s-cash").textContent = (Math.abs(cash) < 1e-6 ? ""
+                : `Trades ${cash > 0 ? "raise" : "use"} ${(Math.abs(cash) * 100).toFixed(1)}% of the view${isNaN(v) ? "" : ` (${fmtMV(Math.abs(cash) * v)})`} in cash (β 0). `)
+                + (sim.some(r => r.overlay) ? "Futures are an overlay: their notional is shown as weight but uses no cash. " : "")
+                + (sim.some(r => isNaN(r.beta)) ? "Rows without a beta are left out." : "");
+        }
+
+        el("sim").addEventListener("input", (e) => {
+            const tr = e.target.closest("tr[data-i]");
+            if (!tr) return;
+            const r = sim[tr.dataset.i];
+            if (e.target.classList.contains("s-w")) r.newWeight = (parseFloat(e.target.value) || 0) / 100;
+            if (e.target.classList.contains("s-beta")) r.beta = parseFloat(e.target.value);
+            updateSim();
+        });
+        el("sim").addEventListener("click", (e) => {
+            if (!e.target.classList.contains("s-sell")) return;
+            e.preventDefault();
+            const i = Number(e.target.closest("tr[data-i]").dataset.i);
+            if (sim[i].added) sim.splice(i, 1);
+            else sim[i].newWeight = 0;
+            renderSim();
+        });
+
+        renderSim();
+        fillPrice();
+    }
+
+    // How much of the view's value gets its beta from each method, so a portfolio beta
+    // that silently leaves positions out is visible.
+    function coverageMethod(r) {
+        const src = lastResults.find(x => x.ticker === r.ticker);
+        if (!src || isNaN(src.beta)) return "missing";
+        return src.override ? "manual" : src.method;
+    }
+
+    function renderCoverage(container, rows) {
+        const viewW = currentView === ALL_ACCOUNTS ? 1 : lastResults.filter(r => r.account === currentView).reduce((s, r) => s + r.weight, 0);
+        const groups = new Map();
+        for (const r of rows) {
+            const g = groups.get(coverageMethod(r)) || { weight: 0, count: 0 };
+            g.weight += r.weight;
+            g.count++;
+            groups.set(coverageMethod(r), g);
+        }
+        const present = Object.keys(BETA_METHODS).filter(k => groups.has(k));
+        container.innerHTML = `
+<div style="display:flex; flex-wrap:wrap; gap:4px 12px; margin-top:6px; font-size:11px; color:#444;">
+  <span style="opacity:.8;">Coverage:</span>
+  ${present.map(k => {
+        const g = groups.get(k);
+        const mv = scrapedTotalMV > 0 ? ` · ${fmtMV(g.weight * viewW * scrapedTotalMV)}` : "";
+        return `<span style="${k === "missing" ? "color:#a00; font-weight:600;" : ""}">${BETA_METHODS[k]}: ${(g.weight * 100).toFixed(1)}%${mv} (${g.count})</span>`;
+    }).join("")}
+</div>`;
+    }
+
+    function renderAccountSummary(container) {
+        const rows = summarizeAccounts(lastResults);
+        const totalWB = rows.reduce((s, a) => s + a.wb, 0);
+        container.innerHTML = `
+<div style="opacity:.8; font-size:11px; margin-top:10px;">Accounts</div>
+<table style="width:100%; border-collapse:collapse; margin-top:4px; font-size:12px;">
+  <thead>
+    <tr style="background:#f4f4f4; border-bottom:1px solid #ddd;">
+      <th style="text-align:left; padding:6px;">Account</th>
+      <th style="text-align:right; padding:6px;">Mkt Value</th>
+      <th style="text-align:right; padding:6px;">Weight</th>
+      <th style="text-align:right; padding:6px;">w×β</th>
+      <th style="text-align:right; padding:6px;">Beta</th>
+    </tr>
+  </thead>
+  <tbody>
+    ${rows.map(a => `
+    <tr style="border-bottom:1px solid #eee;${a.account === currentView ? " background:#eef4ff;" : ""}">
+      <td style="padding:6px;">${escapeHtml(a.account)}</td>
+      <td style="padding:6px; text-align:right;">${fmtMV(a.mv)}</td>
+      <td style="padding:6px; text-align:right;">${(a.weight*100).toFixed(1)}%</td>
+      <td style="padding:6px; text-align:right;">${a.wb.toFixed(3)}</td>
+      <td style="padding:6px; text-align:right;">${isNaN(a.beta) ? "—" : a.beta.toFixed(2)}</td>
+    </tr>`).join("")}
+  </tbody>
+  <tfoot>
+    <tr style="border-top:2px solid #ccc; font-weight:700; background:#fafafa;">
+      <td style="padding:8px;">Household</td>
+      <td style="padding:8px; text-align:right;">${fmtMV(scrapedTotalMV > 0 ? scrapedTotalMV : NaN)}</td>
+      <td style="padding:8px; text-align:right;">100%</td>
+      <td style="padding:8px; text-align:right;">${totalWB.toFixed(3)}</td>
+      <td style="padding:8px; text-align:right;">${totalWB.toFixed(2)}</td>
+    </tr>
+  </tfoot>
+</table>`;
+    }
+
+    // CI, R² and alpha cells; a low R² or a CI wider than ±0.5 is shaded as untrustworthy.
+    function diagnosticCells(r) {
+        const fmt = (x, d) => (x === undefined || isNaN(x)) ? "—" : x.toFixed(d);
+        const half = (r.ciHi - r.ciLo) / 2;
+        const weak = r.r2 < LOW_R2 || half > 0.5;
+        const color = weak ? "color:#b35900;" : "";
+        const ciTitle = isNaN(half) ? "" : `SE ${fmt(r.se, 3)} · 95% CI [${fmt(r.ciLo, 2)}, ${fmt(r.ciHi, 2)}] · n=${r.n}`;
+        return `
+    <td style="padding:6px; text-align:right; ${color}" title="${ciTitle}">${isNaN(half) ? "—" : `±${half.toFixed(2)}`}</td>
+    <td style="padding:6px; text-align:right; ${color}">${fmt(r.r2, 2)}</td>
+    <td style="padding:6px; text-align:right;">${isNaN(r.alpha) || r.alpha === undefined ? "—" : `${(r.alpha * 100).toFixed(1)}%`}</td>
+    <td style="padding:6px; text-align:right; color:#777;" title="${r.first ? escapeHtml(`Returns ${r.first} – ${r.last}`) : ""}">${r.n || "—"}</td>`;
+    }
+
+    function positionTags(r) {
+        const tags = [];
+        if (r.override) tags.push(`<span title="${escapeHtml(r.override.note || "No note")} · estimate ${isNaN(r.estimatedBeta) ? "—" : r.estimatedBeta.toFixed(2)}" style="color:#b35900;">override</span> <a href="#" class="b-note" title="Edit note">✎</a> <a href="#" class="b-reset" title="Back to the estimated beta">↺</a>`);
+        if (r.assetClass && r.assetClass !== "equity") tags.push(ASSET_CLASSES[r.assetClass].label);
+        // Errored or unestimated options carry no greeks
+        if (r.method === "delta" && Number.isFinite(r.delta)) tags.push(`Δ${r.delta.toFixed(2)} · ${r.elasticity.toFixed(1)}×β ${r.underlyingBeta.toFixed(2)}`);
+        if (r.quality && r.quality.length) {
+            const reasons = r.quality.map(q => `${q.fixed ? "Fixed" : "Warning"}: ${q.text}`).join("\n");
+            tags.push(`<span title="${escapeHtml(reasons)}" style="color:${r.quality.some(q => !q.fixed) ? "#a00" : "#b35900"};">⚠ data</span>`);
+        }
+        if (r.provider) tags.push(escapeHtml(r.provider));
+        if (r.cached) tags.push("cached");
+        return tags;
+    }
+
+    function betaOf(ticker) {
+        const r = lastResults.find(x => x.ticker === ticker);
+        return r ? r.beta : NaN;
+    }
+
+    function escapeHtml(s) {
+        return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+    }
+
+    // --- Holding Detail ---
+    // Expanded table rows: the return pairs behind a beta as a scatter with the fitted line,
+    // and both series as cumulative growth of $1 over the same dates.
+    let chartSeq = 0;              // keeps SVG clip-path ids unique when several rows are open
+
+    async function renderHoldingDetail(container, r) {
+        const { order, freq, marketSym } = lastRun;
+        const rets = (rows) => toReturns(resamplePrices(rows, freq));
+        const [asset, mkt] = await Promise.all([getSeries(r.sym, order), getSeries(marketSym, order)]);
+        const mktWindow = clipRows(mkt.rows, lastRun);
+        const checked = await checkSeries(r.sym, asset, mktWindow, { getSeries, order, clip: (rows) => clipRows(rows, lastRun) });
+        const al = alignReturns(rets(checked.rows), rets(mktWindow));
+        if (al.asset.length < 3) throw new Error("Too few common dates to plot.");
+        const fit = regress(al.asset, al.mkt);
+        const shown = r.method === "delta" ? r.underlyingBeta : betaOf(r.ticker);
+        const label = r.sym === r.ticker ? r.ticker : `${r.sym} (underlying)`;
+        container.innerHTML = `
+<div style="font-size:11px; color:#555;">${escapeHtml(label)} vs ${escapeHtml(marketSym)}, ${freq} returns ${al.dates[0]} – ${al.dates[al.dates.length - 1]}, n=${al.asset.length} ·
+OLS β ${fit.beta.toFixed(2)}, R² ${fit.r2.toFixed(2)}${Math.abs(shown - fit.beta) > 0.005 ? ` · shown β ${shown.toFixed(2)} (dashed)` : ""}</div>
+${checked.issues.map(q => `<div style="font-size:11px; color:${q.fixed ? "#b35900" : "#a00"};">⚠ ${escapeHtml(q.text)}</div>`).join("")}
+<div style="display:grid; grid-template-columns: 1fr 1fr; gap:8px; margin-top:4px;">
+  ${scatterSvg(al, fit, shown)}
+  ${cumulativeSvg(al, label, marketSym)}
+</div>`;
+    }
+
+    function scatterSvg(al, fit, shown) {
+        const S = 240, pad = 24;
+        const lim = Math.max(...al.asset.map(Math.abs), ...al.mkt.map(Math.abs)) * 1.05 || 0.01;
+        const p = (v) => pad + (v + lim) / (2 * lim) * (S - 2 * pad);
+        const q = (v) => S - p(v);
+        const line = (b, a, style) => `<line x1="${p(-lim)}" y1="${q(a - b * lim)}" x2="${p(lim)}" y2="${q(a + b * lim)}" ${style}/>`;
+        const meanA = mean(al.asset), meanM = mean(al.mkt);
+        const pct = (v) => `${(v * 100).toFixed(1)}%`;
+        const clipId = `mb_clip_${++chartSeq}`;
+        return `
+<svg viewBox="0 0 ${S} ${S}" width="100%" style="display:block; font:9px system-ui, sans-serif; background:#fcfcfc;">
+  <clipPath id="${clipId}"><rect x="${pad}" y="${pad}" width="${S - 2 * pad}" height="${S - 2 * pad}"/></clipPath>
+  <rect x="${pad}" y="${pad}" width="${S - 2 * pad}" height="${S - 2 * pad}" fill="none" stroke="#ddd"/>
+  <line x1="${p(0)}" x2="${p(0)}" y1="${pad}" y2="${S - pad}" stroke="#ddd"/>
+  <line x1="${pad}" x2="${S - pad}" y1="${q(0)}" y2="${q(0)}" stroke="#ddd"/>
+  ${al.asset.map((y, i) => `<circle cx="${p(al.mkt[i]).toFixed(1)}" cy="${q(y).toFixed(1)}" r="1.8" fill="rgba(0,85,165,.45)"><title>${al.dates[i]}: asset ${pct(y)}, market ${pct(al.mkt[i])}</title></circle>`).join("")}
+  <g clip-path="url(#${clipId})">
+    ${line(fit.beta, fit.alpha, 'stroke="#d62728" stroke-width="1.5"')}
+    ${Math.abs(shown - fit.beta) > 0.005 && !isNaN(shown) ? line(shown, meanA - shown * meanM, 'stroke="#b35900" stroke-width="1.2" stroke-dasharray="4,3"') : ""}
+  </g>
+  <text x="${S - pad}" y="${S - 8}" text-anchor="end" fill="#777">market ${pct(lim)}</text>
+  <text x="${pad}" y="${S - 8}" fill="#777">${pct(-lim)}</text>
+  <text x="${pad - 2}" y="${pad - 6}" fill="#777">asset ${pct(lim)}</text>
+</svg>`;
+    }
+
+    function cumulativeSvg(al, assetLabel, marketSym) {
+        const W = 240, H = 240, padL = 30, padR = 6, padT = 18, padB = 24;
+        const growth = (rs) => rs.reduce((acc, x) => { acc.push(acc[acc.length - 1] * (1 + x)); return acc; }, [1]);
+        const ga = growth(al.asset), gm = growth(al.mkt);
+        const lo = Math.min(...ga, ...gm), hi = Math.max(...ga, ...gm);
+        const x = (i) => padL + i / (ga.length - 1) * (W - padL - padR);
+        const y = (v) => padT + (hi - v) / (hi - lo || 1) * (H - padT - padB);
+        const path = (g) => g.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+        return `
+<svg viewBox="0 0 ${W} ${H}" width="100%" style="display:block; font:9px system-ui, sans-serif; background:#fcfcfc;">
+  ${[lo, 1, hi].map(t => `<line x1="${padL}" x2="${W - padR}" y1="${y(t)}" y2="${y(t)}" stroke="#eee"/><text x="${padL - 3}" y="${y(t) + 3}" text-anchor="end" fill="#777">${t.toFixed(2)}</text>`).join("")}
+  <polyline fill="none" stroke="#999" stroke-width="1.2" points="${path(gm)}"/>
+  <polyline fill="none" stroke="#0055a5" stroke-width="1.5" points="${path(ga)}"/>
+  <text x="${padL}" y="11" fill="#0055a5">${escapeHtml(assetLabel)} ${((ga[ga.length - 1] - 1) * 100).toFixed(1)}%</text>
+  <text x="${W - padR}" y="11" text-anchor="end" fill="#777">${escapeHtml(marketSym)} ${((gm[gm.length - 1] - 1) * 100).toFixed(1)}%</text>
+  <text x="${padL}" y="${H - 8}" fill="#777">${al.dates[0]}</text>
+  <text x="${W - padR}" y="${H - 8}" text-anchor="end" fill="#777">${al.dates[al.dates.length - 1]}</text>
+</svg>`;
+    }
+
+    function renderTable(results, onRecalc) {
         results.sort((a, b) => b.weight - a.weight);
         const table = document.createElement("table");
         table.style.cssText = "width:100%; border-collapse:collapse; margin-top:8px; font-size:12px;";
@@ -407,15 +1976,19 @@ resize: both; /* Enables the resize handle in bottom-right corner */
       <th style="text-align:left; padding:6px;">Ticker</th>
       <th style="text-align:right; padding:6px;">Weight</th>
       <th style="text-align:right; padding:6px;">Beta ✎</th>
+      <th style="text-align:right; padding:6px;" title="95% confidence interval half-width">±95%</th>
+      <th style="text-align:right; padding:6px;">R²</th>
+      <th style="text-align:right; padding:6px;" title="Annualized regression intercept">α</th>
+      <th style="text-align:right; padding:6px;" title="Return observations used; hover a value for its date span">n</th>
       <th style="text-align:right; padding:6px;">w×β</th>
     </tr>
   </thead>
   <tbody></tbody>
   <tfoot>
     <tr style="border-top:2px solid #ccc; font-weight:700; background:#fafafa;">
-      <td style="padding:8px;">Portfolio</td>
+      <td style="padding:8px;">${currentView === ALL_ACCOUNTS ? "Portfolio" : escapeHtml(currentView)}</td>
       <td style="padding:8px;">100%</td>
-      <td style="padding:8px;"></td>
+      <td style="padding:8px;" colspan="5"></td>
       <td style="padding:8px; text-align:right;" id="mb_total"></td>
     </tr>
   </tfoot>`;
@@ -424,25 +1997,88 @@ resize: both; /* Enables the resize handle in bottom-right corner */
     results.forEach(r => {
         const tr = document.createElement("tr");
         tr.style.borderBottom = "1px solid #eee";
+        if (r.override) tr.style.background = "#fff8e6";
+        tr.dataset.ticker = r.ticker;
         tr.innerHTML = `
-    <td style="padding:6px;"><b>${r.ticker}</b> <span style="font-size:9px; color:#999;">${r.cached ? 'cached' : ''}</span></td>
+    <td style="padding:6px;" title="${r.error ? escapeHtml(r.error) : ""}">${r.sym && !r.error ? '<a href="#" class="b-expand" title="Scatter and return charts" style="text-decoration:none; color:#555;">▸</a> ' : ""}<b>${escapeHtml(r.ticker)}</b> <span style="font-size:9px; color:${r.error ? "#a00" : "#999"};">${r.error && !r.override ? "no data" : positionTags(r).join(" · ")}</span></td>
     <td style="padding:6px; text-align:right;" data-w="${r.weight}">${(r.weight*100).toFixed(1)}%</td>
     <td style="padding:6px; text-align:right;"><input type="number" step="0.01" class="b-in" value="${isNaN(r.beta)?'':r.beta.toFixed(2)}" style="width:50px; text-align:right;"></td>
+    ${diagnosticCells(r)}
     <td style="padding:6px; text-align:right;" class="wb-out">—</td>`;
       tbody.appendChild(tr);
   });
-    $("#mb_tablewrap").innerHTML = ""; $("#mb_tablewrap").appendChild(table);
+    $("#mb_tablewrap").appendChild(table);
 
     const recalc = () => {
         let sum = 0, wTotal = 0;
-        tbody.querySelectorAll("tr").forEach(tr => {
+        tbody.querySelectorAll("tr[data-ticker]").forEach(tr => {
             const w = parseFloat(tr.querySelector("td[data-w]").dataset.w);
-            const b = parseFloat(tr.querySelector(".b-in").value);
+            const b = betaOf(tr.dataset.ticker);
             if (!isNaN(b)) { sum += w * b; wTotal += w; tr.querySelector(".wb-out").textContent = (w*b).toFixed(3); }
             else tr.querySelector(".wb-out").textContent = "—";
         });
         $("#mb_total").textContent = wTotal > 0 ? sum.toFixed(3) : "—";
+        if (onRecalc) onRecalc();
     };
-    tbody.addEventListener("input", recalc); recalc();
+    // Hand-edited betas apply to the ticker in every account, so switching views keeps them.
+    // Committing an edit saves it as an override; clearing the box goes back to the estimate.
+    const rowsOf = (ticker) => lastResults.filter(r => r.ticker === ticker);
+    tbody.addEventListener("input", (e) => {
+        const tr = e.target.closest("tr");
+        const b = parseFloat(e.target.value);
+        rowsOf(tr.dataset.ticker).forEach(r => { r.beta = b; });
+        recalc();
+    });
+    tbody.addEventListener("change", (e) => {
+        const ticker = e.target.closest("tr").dataset.ticker;
+        const b = parseFloat(e.target.value);
+        const prev = rowsOf(ticker)[0].override;
+        if (isNaN(b)) removeOverride(ticker);
+        else setOverride(ticker, b, prev && prev.note);
+        refreshOverride(ticker);
+    });
+    tbody.addEventListener("click", async (e) => {
+        const toggle = e.target.closest("a.b-expand");
+        if (toggle) {
+            e.preventDefault();
+            const tr = toggle.closest("tr");
+            const open = tr.nextElementSibling && tr.nextElementSibling.classList.contains("b-detail");
+            toggle.textContent = open ? "▸" : "▾";
+            if (open) { tr.nextElementSibling.remove(); return; }
+            const detail = document.createElement("tr");
+            detail.className = "b-detail";
+            detail.innerHTML = `<td colspan="8" style="padding:6px; border-bottom:1px solid #eee;">Loading…</td>`;
+            tr.after(detail);
+            const r = results.find(x => x.ticker === tr.dataset.ticker);
+            try {
+                await renderHoldingDetail(detail.firstElementChild, r);
+            } catch (err) { detail.firstElementChild.textContent = `Error: ${err.message}`; }
+            return;
+        }
+        const link = e.target.closest("a.b-note, a.b-reset");
+        if (!link) return;
+        e.preventDefault();
+        const ticker = link.closest("tr").dataset.ticker;
+        const o = rowsOf(ticker)[0].override;
+        if (link.classList.contains("b-reset")) {
+            removeOverride(ticker);
+        } else {
+            const note = prompt(`Note for ${ticker} beta override:`, o.note || "");
+            if (note === null) return;
+            setOverride(ticker, o.beta, note);
+        }
+        refreshOverride(ticker);
+    });
+    recalc();
 }
+
+    // Re-reads a ticker's saved override into the results and redraws them.
+    function refreshOverride(ticker) {
+        const o = loadJSON(OVERRIDES_KEY, {})[canonicalTicker(ticker)];
+        lastResults.filter(r => r.ticker === ticker).forEach(r => {
+            r.override = o;
+            r.beta = o ? o.beta : r.estimatedBeta;
+        });
+        renderResults();
+    }
 })();
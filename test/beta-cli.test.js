@@ -0,0 +1,43 @@
+// beta-cli.js end to end, replaying the saved responses in test/fixtures with --fixtures.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "beta-cli.js");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+function runCli(...args) {
+    return spawnSync(process.execPath, [CLI, ...args, "--fixtures", FIXTURES], { encoding: "utf8", timeout: 30000 });
+}
+
+test("estimates the holdings file from fixtures", () => {
+    const res = runCli(path.join(FIXTURES, "holdings.txt"), "--lookback", "60", "--format", "json");
+    assert.strictEqual(res.status, 0, res.stderr);
+    const out = JSON.parse(res.stdout);
+    assert.deepStrictEqual(out.window, { start: "2025-02-26", end: "2025-05-21" });
+    assert.deepStrictEqual(out.results.map(r => [r.ticker, r.provider || r.method]), [["AAPL", "yahoo"], ["MSFT", "stooq"], ["CASH", "default"]]);
+    assert.ok(Math.abs(out.portfolioBeta - (0.6 * 1.5 + 0.3 * 0.8)) < 0.1, `portfolio beta ${out.portfolioBeta}`);
+});
+
+test("exits 1 when a holding gets no beta", () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "beta-cli-")), "holdings.txt");
+    fs.writeFileSync(file, "AAPL, 50%\nNVDA, 50%\n");
+    const res = runCli(file, "--lookback", "60");
+    assert.strictEqual(res.status, 1, res.stderr);
+    assert.match(res.stdout, /NVDA .*error: Yahoo: No fixture yahoo_NVDA\.json; Stooq: No fixture stooq_nvda\.us\.csv/);
+    assert.match(res.stdout, /Portfolio beta vs SPY: \d/);
+});
+
+test("exits 2 on bad options", () => {
+    for (const args of [["--format", "xml"], ["--lookback", "abc"], ["--bogus"]]) {
+        const res = runCli(path.join(FIXTURES, "holdings.txt"), ...args);
+        assert.strictEqual(res.status, 2, args.join(" "));
+        assert.match(res.stderr, /^Error: /);
+    }
+});
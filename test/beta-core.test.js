@@ -0,0 +1,100 @@
+// Estimation core against saved provider responses (test/fixtures): AAPL and SPY from
+// Yahoo, MSFT from Stooq only, so MSFT also exercises the provider failover.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const core = require("../beta-core.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+// Same file naming as beta-cli.js --fixtures.
+async function fetchFixture(url) {
+    const u = new URL(url);
+    const name = /yahoo/.test(u.hostname)
+        ? `yahoo_${decodeURIComponent(u.pathname.split("/").pop())}.json`
+        : `stooq_${u.searchParams.get("s")}.csv`;
+    if (!fs.existsSync(path.join(FIXTURES, name))) throw new Error(`No fixture ${name}`);
+    return fixture(name);
+}
+
+test("parseYahooChart reads adjusted closes and skips empty days", () => {
+    const rows = core.parseYahooChart(fixture("yahoo_AAPL.json"));
+    const raw = JSON.parse(fixture("yahoo_AAPL.json")).chart.result[0].indicators;
+    assert.strictEqual(rows.length, 99);
+    assert.deepStrictEqual(rows[0], { date: "2025-01-02", close: raw.adjclose[0].adjclose[0] });
+    assert.strictEqual(rows[rows.length - 1].date, "2025-05-21");
+    assert.ok(rows.every((r, i) => i === 0 || rows[i - 1].date < r.date));
+    assert.throws(() => core.parseYahooChart("{}"), /Invalid Yahoo JSON/);
+});
+
+test("parseStooqCsv reads the Close column in date order", () => {
+    const rows = core.parseStooqCsv(fixture("stooq_msft.us.csv"));
+    assert.strictEqual(rows.length, 100);
+    assert.deepStrictEqual(rows[0], { date: "2025-01-02", close: 400 });
+    assert.strictEqual(rows[rows.length - 1].date, "2025-05-21");
+    // Anything but an ISO date is dropped: dates are shown in the panel's HTML
+    const poisoned = core.parseStooqCsv("Date,Close\n2025-01-02,1\n<img src=x onerror=alert(1)>,2\n2025-01-03,3\n");
+    assert.deepStrictEqual(poisoned.map(r => r.date), ["2025-01-02", "2025-01-03"]);
+});
+
+test("computeBetas estimates every symbol over the benchmark's window", async () => {
+    const getSeries = core.createSeriesLoader(core.createProviders(fetchFixture));
+    const ctx = {
+        startedAt: Date.now(), source: "yahoo", order: ["yahoo", "stooq"], benchmarks: ["SPY"], marketSym: "SPY",
+        multiFactor: false, lookback: 60, range: { start: "", end: "" }, freq: "daily", method: "ols", estimator: "daily-ols",
+    };
+    const run = await core.computeBetas(["AAPL", "MSFT"], ctx, { getSeries });
+    assert.deepStrictEqual(run.window, { start: "2025-02-26", end: "2025-05-21" });
+    assert.deepStrictEqual(run.marketProviders, { SPY: "yahoo" });
+
+    const aapl = run.betaBySym.get("AAPL");
+    const msft = run.betaBySym.get("MSFT");
+    assert.strictEqual(aapl.provider, "yahoo");
+    assert.strictEqual(msft.provider, "stooq");
+    // The fixtures are built as 1.5× and 0.8× the market plus a little noise
+    assert.ok(Math.abs(aapl.beta - 1.5) < 0.1, `AAPL beta ${aapl.beta}`);
+    assert.ok(Math.abs(msft.beta - 0.8) < 0.1, `MSFT beta ${msft.beta}`);
+    assert.strictEqual(msft.n, 60);
+});
+
+test("computeBetas reports a missing secondary benchmark without failing the holdings", async () => {
+    const getSeries = core.createSeriesLoader(core.createProviders(fetchFixture));
+    const ctx = {
+        startedAt: Date.now(), source: "yahoo", order: ["yahoo", "stooq"], benchmarks: ["SPY", "QQQ"], marketSym: "SPY",
+        multiFactor: true, lookback: 60, range: { start: "", end: "" }, freq: "daily", method: "ols", estimator: "daily-ols",
+    };
+    const run = await core.computeBetas(["AAPL"], ctx, { getSeries });
+    const aapl = run.betaBySym.get("AAPL");
+    assert.ok(Number.isFinite(aapl.beta));
+    assert.ok(isNaN(aapl.benchBetas.QQQ));
+    assert.strictEqual(aapl.factors, null);
+    assert.match(run.marketErrors.QQQ, /No fixture/);
+});
+
+test("validateSeries only rescales a split a split-adjusted feed confirms", () => {
+    const dates = Array.from({ length: 40 }, (_, i) => core.shiftDate("2025-01-01", i));
+    const mkt = dates.map((date, i) => ({ date, close: 100 * (1 + 0.01 * Math.sin(i)) }));
+    const price = (i) => 50 * (1 + 0.01 * Math.cos(i));
+    // Halves on day 20: a 2-for-1 split, or a real -50% day
+    const raw = dates.map((date, i) => ({ date, close: i < 20 ? 2 * price(i) : price(i) }));
+    const splits = (checked) => checked.issues.filter(q => q.code === "split");
+
+    const unconfirmed = core.validateSeries(raw, mkt);
+    assert.strictEqual(unconfirmed.rows[0].close, raw[0].close);
+    assert.deepStrictEqual(splits(unconfirmed).map(q => q.fixed), [false]);
+
+    const crash = core.validateSeries(raw, mkt, { reference: raw });
+    assert.deepStrictEqual(splits(crash).map(q => q.fixed), [false]);
+
+    const reference = dates.map((date, i) => ({ date, close: price(i) * 0.99 }));
+    const split = core.validateSeries(raw, mkt, { reference });
+    assert.ok(Math.abs(split.rows[0].close - price(0)) < 1e-9);
+    assert.deepStrictEqual(splits(split).map(q => q.fixed), [true]);
+
+    assert.deepStrictEqual(splits(core.validateSeries(raw, mkt, { adjusted: true, reference })).map(q => q.fixed), [false]);
+});
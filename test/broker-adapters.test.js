@@ -0,0 +1,57 @@
+// Broker adapters against the hand-written pages in test/fixtures, through jsdom.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const { ADAPTERS, pickAdapter, scrapePage } = require("../broker-adapters.js");
+
+function loadPage(name, url) {
+    return new JSDOM(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8"), { url }).window;
+}
+
+const rowsOf = (page) => page.rawRows.map(r => [r.account, r.ticker, r.assetClass, r.mv, r.w]);
+
+test("merrill: one table per account, subtotals skipped, sweep as cash", () => {
+    const win = loadPage("merrill-holdings.html", "https://olui2.fs.ml.com/TFPHoldings/HoldingsByAccount.aspx");
+    const adapter = pickAdapter(win.location);
+    assert.strictEqual(adapter, ADAPTERS.merrill);
+    const page = scrapePage(win.document, adapter, {});
+    assert.strictEqual(page.tableCount, 2);
+    assert.deepStrictEqual(rowsOf(page), [
+        ["Roth IRA 123-45678", "AAPL", "equity", 6000, 0.6],
+        ["Roth IRA 123-45678", "VTI", "equity", 3000, 0.3],
+        ["Roth IRA 123-45678", "CASH", "cash", 1000, 0.1],
+        ["CMA Brokerage 987-65432", "MSFT", "equity", 8000, 0.8],
+        ["CMA Brokerage 987-65432", "AAPL 250620C00210000", "option", 500, 0.05],
+        ["CMA Brokerage 987-65432", "912828XY1", "bond", 1500, 0.15],
+    ]);
+    assert.ok(page.tables.every(t => !t.paged));
+});
+
+test("fidelity: pinned and scrolling ag-grid rows are merged by row-index", () => {
+    const win = loadPage("fidelity-positions.html", "https://digital.fidelity.com/ftgw/digital/portfolio/positions");
+    const adapter = pickAdapter(win.location);
+    assert.strictEqual(adapter, ADAPTERS.fidelity);
+    const page = scrapePage(win.document, adapter, {});
+    assert.strictEqual(page.tableCount, 1);
+    assert.deepStrictEqual(rowsOf(page), [
+        ["Individual X12345678", "FXAIX", "equity", 6400, 0.64],
+        ["Individual X12345678", "SPAXX", "moneyMarket", 1000, 0.1],
+        ["Individual X12345678", "NVDA", "equity", 2600, 0.26],
+    ]);
+});
+
+test("a saved column map overrides the detected one", () => {
+    const win = loadPage("merrill-holdings.html", "https://olui2.fs.ml.com/TFPHoldings/HoldingsByAccount.aspx");
+    const key = scrapePage(win.document, ADAPTERS.merrill, {}).tables[0].key;
+    const page = scrapePage(win.document, ADAPTERS.merrill, { [key]: { skip: true } });
+    assert.strictEqual(page.tableCount, 0);
+});
+
+test("other sites get the generic adapter", () => {
+    assert.strictEqual(pickAdapter(new URL("https://example.com/positions")), ADAPTERS.generic);
+});